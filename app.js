@@ -1,39 +1,139 @@
 "use strict";
 import { SiteManager } from "./components/site.js";
-import { SearchManager } from "./components/search.js";
 import { SettingsManager } from "./components/settings.js";
-import { preciseClock } from "./components/clock.js";
+import { openStorage } from "./components/storage.js";
+import { PreferencesManager } from "./components/preferences.js";
+import { IconPicker } from "./components/icons.js";
+import { NotesManager } from "./components/notes.js";
+import { UpdateNotifier } from "./components/update.js";
+import { WidgetManager } from "./components/widgets.js";
+import { ThemeManager } from "./components/theme.js";
+import { GridNavigator } from "./components/keyboard.js";
+import { CommandRegistry } from "./components/commands.js";
+import { LaunchStats } from "./components/stats.js";
+import { SearchHistory } from "./components/history.js";
 
-function initApp() {
+async function initApp() {
     registerServiceWorker();
     const container = document.getElementById("sites-container");
 
+    // Open storage shared by all managers
+    const storage = await openStorage();
+
+    // Load preferences shared by all managers
+    const preferences = new PreferencesManager(storage);
+    await preferences.load();
+
+    // Apply the theme as soon as preferences are known
+    const themeManager = new ThemeManager(preferences);
+
+    // Load notes shown by note widgets
+    const notes = new NotesManager(storage);
+    await notes.load();
+
+    // Load past queries of the search bar
+    const searchHistory = new SearchHistory(storage, preferences);
+    await searchHistory.load();
+
+    // Load launch statistics ranking sites
+    const stats = new LaunchStats(storage);
+    await stats.load();
+
+    // Initialize the icon picker shared by sites and search engines
+    const iconPicker = new IconPicker(document.getElementById("icon-dialog"));
+
     // Initialize site manager
-    const siteManager = new SiteManager(container);
+    const siteManager = new SiteManager(
+        container,
+        storage,
+        preferences,
+        iconPicker,
+        stats,
+    );
+
+    // Navigate the site grid with the keyboard
+    const gridNavigator = new GridNavigator(
+        siteManager,
+        preferences,
+        document.getElementById("shortcuts-dialog"),
+    );
 
     // Initialize settings manager
-    const settingsManager = new SettingsManager(siteManager);
+    const settingsManager = new SettingsManager(
+        siteManager,
+        storage,
+        preferences,
+        iconPicker,
+        notes,
+        searchHistory,
+    );
 
-    // Initialize search
-    const searchInput = document.getElementById("search-input");
-    const searchResults = document.getElementById("search-results");
-    new SearchManager(searchInput, searchResults, siteManager, settingsManager);
+    // Collect the commands of the command palette (`>` in the search box)
+    const commands = new CommandRegistry();
+    siteManager.registerCommands(commands);
+    settingsManager.registerCommands(commands);
+    themeManager.registerCommands(commands);
+    gridNavigator.registerCommands(commands);
 
-    // Initialize clock
-    preciseClock();
+    // Mount widgets (clock, search and user widgets) into their slots
+    const slots = {};
+    document.querySelectorAll("[data-widget-slot]").forEach((slot) => {
+        slots[slot.dataset.widgetSlot] = slot;
+    });
+    new WidgetManager(slots, {
+        storage,
+        preferences,
+        siteManager,
+        settingsManager,
+        notes,
+        commands,
+    }).mountAll();
 
     // Setup add site button
     const addBtn = document.getElementById("add-site-btn");
     addBtn.addEventListener("click", () => {
         siteManager.addNewItem();
     });
+
+    // Setup add group button
+    const addGroupBtn = document.getElementById("add-group-btn");
+    addGroupBtn.addEventListener("click", () => {
+        siteManager.addGroup();
+    });
+
+    setupHistoryShortcuts(siteManager, settingsManager.engineManager);
+}
+
+/**
+ * Route undo/redo shortcuts to the site grid, or to the search engine list
+ * while the settings dialog is the only open dialog.
+ * @param {SiteManager} siteManager - The site manager.
+ * @param {SearchEngineManager} engineManager - The search engine manager.
+ */
+function setupHistoryShortcuts(siteManager, engineManager) {
+    const settingsDialog = document.getElementById("settings-dialog");
+    document.addEventListener("keydown", (e) => {
+        const openDialogs = document.querySelectorAll("dialog[open]");
+        if (openDialogs.length === 0) {
+            siteManager.handleHistoryShortcut(e);
+        } else if (
+            openDialogs.length === 1 &&
+            openDialogs[0] === settingsDialog
+        ) {
+            engineManager.handleHistoryShortcut(e);
+        }
+    });
 }
 
 function registerServiceWorker() {
+    const updateNotifier = new UpdateNotifier(
+        document.getElementById("update-banner"),
+    );
     navigator.serviceWorker
         .register("/sw.js")
         .then((registration) => {
             console.log("Service Worker registered:", registration);
+            updateNotifier.watch(registration);
         })
         .catch((error) => {
             console.log("Service Worker registration failed:", error);
@@ -0,0 +1,325 @@
+"use strict";
+
+/**
+ * @typedef {Object} BookmarkLink
+ * @property {"link"} type - The node type.
+ * @property {string} name - The link title.
+ * @property {string} url - The link URL.
+ * @property {string} [icon] - The link icon (data URL or URL), if any.
+ */
+
+/**
+ * @typedef {Object} BookmarkFolder
+ * @property {"folder"} type - The node type.
+ * @property {string} name - The folder title.
+ * @property {Array<BookmarkFolder|BookmarkLink>} children - The folder content.
+ */
+
+/** Header of the Netscape Bookmark File format, as written by browsers. */
+const BOOKMARKS_HEADER = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<!-- This is an automatically generated file.
+     It will be read and overwritten.
+     DO NOT EDIT! -->
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+`;
+
+/**
+ * Check whether the text looks like a Netscape Bookmark File.
+ * @param {string} text - The file content.
+ * @returns {boolean} Whether the text is a bookmark file.
+ */
+function isBookmarksFile(text) {
+    return /<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text);
+}
+
+/**
+ * Parse a Netscape Bookmark File, as exported by Chrome, Firefox, etc.
+ * Links that can't be opened from a start page (e.g. `javascript:`) are left out.
+ * @param {string} html - The file content.
+ * @param {DOMParser} [parser] - DOMParser instance to use.
+ * @returns {BookmarkFolder} The root folder.
+ */
+function parseBookmarks(html, parser = new DOMParser()) {
+    const doc = parser.parseFromString(html, "text/html");
+    const root = {
+        type: "folder",
+        name: doc.querySelector("h1")?.textContent.trim() || "Bookmarks",
+        children: [],
+    };
+    const list = doc.querySelector("dl");
+    if (list) {
+        root.children = parseBookmarkList(list);
+    }
+    return root;
+}
+
+/**
+ * Parse the entries of a `<DL>` element.
+ * @param {HTMLDListElement} list - The list element.
+ * @returns {Array<BookmarkFolder|BookmarkLink>} The entries.
+ */
+function parseBookmarkList(list) {
+    const nodes = [];
+    // `<DT>`s may end up inside the `<p>`s that browsers put after `<DL>`
+    list.querySelectorAll(":scope > dt, :scope > p > dt").forEach((entry) => {
+        const heading = entry.querySelector(":scope > h3");
+        if (heading) {
+            const subList = entry.querySelector(":scope > dl");
+            nodes.push({
+                type: "folder",
+                name: heading.textContent.trim(),
+                children: subList ? parseBookmarkList(subList) : [],
+            });
+            return;
+        }
+
+        const anchor = entry.querySelector(":scope > a");
+        const url = anchor?.getAttribute("href");
+        if (!url || !URL.canParse(url) || /^(javascript|place):/i.test(url)) {
+            return;
+        }
+        const link = {
+            type: "link",
+            name: anchor.textContent.trim() || url,
+            url,
+        };
+        const icon =
+            anchor.getAttribute("icon") || anchor.getAttribute("icon_uri");
+        if (icon && URL.canParse(icon)) {
+            link.icon = icon;
+        }
+        nodes.push(link);
+    });
+    return nodes;
+}
+
+/**
+ * Get the group name of a folder from its parent's group name.
+ * @param {string} path - The group name of the parent folder, empty for the root.
+ * @param {string} name - The folder name.
+ * @returns {string} The group name.
+ */
+function joinFolderPath(path, name) {
+    return path ? `${path} / ${name}` : name;
+}
+
+/**
+ * Convert a bookmark link into a site.
+ * @param {BookmarkLink} link - The link.
+ * @param {string} group - The group name, empty for ungrouped.
+ * @returns {{name: string, url: string, icon?: string, group?: string}} The site.
+ */
+function linkToSite(link, group) {
+    const site = { name: link.name, url: link.url };
+    if (link.icon) site.icon = link.icon;
+    if (group) site.group = group;
+    return site;
+}
+
+/**
+ * Flatten a bookmark tree into sites, using the folder path as group name.
+ * Links directly in the root folder are ungrouped.
+ * @param {BookmarkFolder} folder - The folder to flatten.
+ * @param {string} [path] - The group name of the folder.
+ * @returns {Array<{name: string, url: string, icon?: string, group?: string}>} The sites.
+ */
+function bookmarksToSites(folder, path = "") {
+    return folder.children.flatMap((node) => {
+        if (node.type === "folder") {
+            return bookmarksToSites(node, joinFolderPath(path, node.name));
+        }
+        return [linkToSite(node, path)];
+    });
+}
+
+/**
+ * Escape text for HTML content and attribute values.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replaceAll("&", "&amp;")
+        .replaceAll("<", "&lt;")
+        .replaceAll(">", "&gt;")
+        .replaceAll('"', "&quot;");
+}
+
+/**
+ * Serialize sites into a Netscape Bookmark File, with groups as folders.
+ * Emoji and text icons are left out, since browsers only support image icons.
+ * @param {Array<{name: string, url: string, icon: string, group?: string}>} sites - The exported sites.
+ * @param {Array<{name: string}>} [groups] - The exported groups, in order.
+ * @returns {string} The file content.
+ */
+function serializeBookmarks(sites, groups = []) {
+    const linkLine = (site, indent) => {
+        let attributes = `HREF="${escapeHTML(site.url)}"`;
+        if (site.icon?.startsWith("data:")) {
+            attributes += ` ICON="${escapeHTML(site.icon)}"`;
+        } else if (URL.canParse(site.icon)) {
+            attributes += ` ICON_URI="${escapeHTML(site.icon)}"`;
+        }
+        return `${indent}<DT><A ${attributes}>${escapeHTML(site.name)}</A>\n`;
+    };
+
+    let html = BOOKMARKS_HEADER + "<DL><p>\n";
+    sites
+        .filter((site) => !site.group)
+        .forEach((site) => {
+            html += linkLine(site, "    ");
+        });
+
+    // Groups in their order, then any group only known from its sites
+    const groupNames = new Set(groups.map((group) => group.name));
+    sites.forEach((site) => site.group && groupNames.add(site.group));
+    groupNames.forEach((name) => {
+        html += `    <DT><H3>${escapeHTML(name)}</H3>\n    <DL><p>\n`;
+        sites
+            .filter((site) => site.group === name)
+            .forEach((site) => {
+                html += linkLine(site, "        ");
+            });
+        html += "    </DL><p>\n";
+    });
+
+    return html + "</DL><p>\n";
+}
+
+/** Manages the dialog for picking which bookmarks to import. */
+class BookmarksPreview {
+    /**
+     * Create a new BookmarksPreview instance.
+     * @param {HTMLDialogElement} dialog - The preview dialog.
+     */
+    constructor(dialog) {
+        this.dialog = dialog;
+        this.tree = dialog.querySelector(".bookmarks-tree");
+        /**
+         * Sites of the link checkboxes in the tree.
+         * @type {Map<HTMLInputElement, Object>}
+         */
+        this.sites = new Map();
+
+        dialog
+            .querySelector(".bookmarks-import-btn")
+            .addEventListener("click", () => this.dialog.close("import"));
+        dialog
+            .querySelectorAll(".bookmarks-cancel-btn")
+            .forEach((button) =>
+                button.addEventListener("click", () => this.dialog.close()),
+            );
+    }
+
+    /**
+     * Show the bookmark tree and let the user pick folders and links.
+     * @param {BookmarkFolder} root - The root folder.
+     * @returns {Promise<Array|null>} The picked sites, or null if cancelled.
+     */
+    pick(root) {
+        this.sites.clear();
+        this.tree.innerHTML = "";
+        this.tree.appendChild(this.createFolderList(root, ""));
+
+        this.dialog.returnValue = "";
+        this.dialog.showModal();
+        return new Promise((resolve) => {
+            this.dialog.addEventListener(
+                "close",
+                () => {
+                    if (this.dialog.returnValue !== "import") {
+                        resolve(null);
+                        return;
+                    }
+                    const picked = [];
+                    this.sites.forEach((site, checkbox) => {
+                        if (checkbox.checked) picked.push(site);
+                    });
+                    resolve(picked);
+                },
+                { once: true },
+            );
+        });
+    }
+
+    /**
+     * Create the list of a folder's content, all checked.
+     * @param {BookmarkFolder} folder - The folder.
+     * @param {string} path - The group name of the folder.
+     * @returns {HTMLUListElement} The list element.
+     */
+    createFolderList(folder, path) {
+        const list = document.createElement("ul");
+        folder.children.forEach((node) => {
+            const entry = document.createElement("li");
+            const label = document.createElement("label");
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.checked = true;
+            label.appendChild(checkbox);
+            entry.appendChild(label);
+
+            if (node.type === "folder") {
+                label.append(`📁 ${node.name}`);
+                entry.appendChild(
+                    this.createFolderList(
+                        node,
+                        joinFolderPath(path, node.name),
+                    ),
+                );
+                // (Un)check all descendants
+                checkbox.addEventListener("change", () => {
+                    entry.querySelectorAll("input").forEach((input) => {
+                        input.checked = checkbox.checked;
+                        input.indeterminate = false;
+                    });
+                    this.updateAncestors(entry);
+                });
+            } else {
+                label.append(node.name);
+                label.title = node.url;
+                this.sites.set(checkbox, linkToSite(node, path));
+                checkbox.addEventListener("change", () =>
+                    this.updateAncestors(entry),
+                );
+            }
+
+            list.appendChild(entry);
+        });
+        return list;
+    }
+
+    /**
+     * Update the folder checkboxes above an entry to reflect its descendants.
+     * @param {HTMLLIElement} entry - The changed entry.
+     */
+    updateAncestors(entry) {
+        let folder = entry.parentElement.closest("li");
+        while (folder) {
+            const folderCheckbox = folder.querySelector(
+                ":scope > label > input",
+            );
+            const linkCheckboxes = [...folder.querySelectorAll("input")].filter(
+                (input) => this.sites.has(input),
+            );
+            const checkedCount = linkCheckboxes.filter(
+                (input) => input.checked,
+            ).length;
+            folderCheckbox.checked =
+                checkedCount > 0 && checkedCount === linkCheckboxes.length;
+            folderCheckbox.indeterminate =
+                checkedCount > 0 && checkedCount < linkCheckboxes.length;
+            folder = folder.parentElement.closest("li");
+        }
+    }
+}
+
+export {
+    BookmarksPreview,
+    bookmarksToSites,
+    isBookmarksFile,
+    parseBookmarks,
+    serializeBookmarks,
+};
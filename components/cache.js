@@ -0,0 +1,368 @@
+"use strict";
+
+/**
+ * @typedef {Object} IconCacheEntry
+ * @property {string} url - The icon URL.
+ * @property {number|null} size - The size in bytes, or null if unknown (e.g. opaque responses).
+ * @property {boolean|null} opaque - Whether the response is opaque (cross-origin without CORS), null if unknown.
+ * @property {number|null} cachedAt - When the icon was cached, as timestamp, or null if unknown.
+ * @property {number} [lastUsed] - When the icon was last served from the cache, as timestamp.
+ */
+
+/**
+ * Expiry and size limits of the icon cache. A limit of 0 disables it.
+ * @typedef {Object} IconCachePolicy
+ * @property {number} maxAge - Seconds after which icons are revalidated in the background.
+ * @property {number} opaqueMaxAge - Same as maxAge, for opaque responses.
+ * @property {number} maxEntries - Number of icons kept before evicting the least recently used.
+ * @property {number} maxSize - Bytes kept before evicting the least recently used icons.
+ */
+
+/** Client of the icon cache API served by the service worker under `/api/cache/icons`. */
+class IconCacheClient {
+    /**
+     * Create a new IconCacheClient instance.
+     * @param {Object} [options] - Client options.
+     * @param {typeof fetch} [options.fetch] - The fetch implementation to use.
+     */
+    constructor({ fetch = globalThis.fetch.bind(globalThis) } = {}) {
+        this.fetch = fetch;
+    }
+
+    /**
+     * Send a request to the icon cache API.
+     * @param {string} method - The HTTP method.
+     * @param {string} [url] - The icon URL the request is about, if any.
+     * @returns {Promise<Object>} The parsed response body.
+     * @throws {Error} If the request fails.
+     */
+    async request(method, url) {
+        const endpoint = url
+            ? `/api/cache/icons?url=${encodeURIComponent(url)}`
+            : "/api/cache/icons";
+        return this.send(endpoint, { method });
+    }
+
+    /**
+     * Send a request to the service worker API.
+     * @param {string} endpoint - The API path.
+     * @param {RequestInit} init - The request options.
+     * @returns {Promise<Object>} The parsed response body.
+     * @throws {Error} If the request fails.
+     */
+    async send(endpoint, init) {
+        const response = await this.fetch(endpoint, init);
+        const body = await response.json();
+        if (!response.ok || body.success === false) {
+            throw new Error(
+                body.error ?? `${response.status} ${response.statusText}`,
+            );
+        }
+        return body;
+    }
+
+    /**
+     * List the cached icons.
+     * @returns {Promise<IconCacheEntry[]>} The cached icons.
+     */
+    async list() {
+        return (await this.request("GET")).entries;
+    }
+
+    /**
+     * Download an icon again, replacing its cached copy.
+     * @param {string} url - The icon URL.
+     * @returns {Promise<IconCacheEntry>} The new cache entry.
+     */
+    async refresh(url) {
+        return (await this.request("POST", url)).entry;
+    }
+
+    /**
+     * Remove an icon from the cache.
+     * @param {string} url - The icon URL.
+     * @returns {Promise<boolean>} Whether the icon was cached.
+     */
+    async purge(url) {
+        return (await this.request("DELETE", url)).deleted;
+    }
+
+    /**
+     * Get the expiry and size limits of the cache.
+     * @returns {Promise<IconCachePolicy>} The cache policy.
+     */
+    async getPolicy() {
+        return (await this.send("/api/cache/policy", { method: "GET" })).policy;
+    }
+
+    /**
+     * Change limits of the cache. Icons beyond the new limits are evicted.
+     * @param {Partial<IconCachePolicy>} changes - The limits to change.
+     * @returns {Promise<IconCachePolicy>} The new cache policy.
+     */
+    async setPolicy(changes) {
+        const body = await this.send("/api/cache/policy", {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(changes),
+        });
+        return body.policy;
+    }
+}
+
+/**
+ * Check whether an icon is loaded from a URL, and thus cached by the service worker.
+ * @param {string} icon - The icon (emoji, text, image URL or data URL).
+ * @returns {boolean} Whether the icon can be cached.
+ */
+function isCachedIcon(icon) {
+    return URL.canParse(icon) && !icon.startsWith("data:");
+}
+
+/**
+ * Format a size in bytes for display.
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size, e.g. "1.5 KB".
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Describe the cache status of a site's icon.
+ * @param {string} icon - The site icon.
+ * @param {IconCacheEntry} [entry] - The cache entry of the icon, if cached.
+ * @returns {string} The status text.
+ */
+function describeIconStatus(icon, entry) {
+    if (icon.startsWith("data:")) return "Stored with the site";
+    if (!URL.canParse(icon)) return "Text icon";
+    if (!entry) return "Not cached";
+
+    const details = ["Cached"];
+    if (entry.size !== null) details.push(formatSize(entry.size));
+    if (entry.cachedAt !== null) {
+        details.push(new Date(entry.cachedAt).toLocaleString());
+    }
+    return details.join(" · ");
+}
+
+/** Shows the icon cache status of each site in the settings dialog. */
+class IconCacheStatus {
+    /**
+     * Create a new IconCacheStatus instance.
+     * @param {HTMLDetailsElement} details - The collapsible element holding the list.
+     * @param {import('./site.js').SiteManager} siteManager - The site manager instance.
+     * @param {IconCacheClient} [client] - The icon cache API client.
+     */
+    constructor(details, siteManager, client = new IconCacheClient()) {
+        this.details = details;
+        this.list = details.querySelector(".icon-cache-list");
+        this.siteManager = siteManager;
+        this.client = client;
+
+        // Only query the service worker when the list is shown
+        details.addEventListener("toggle", () => this.update());
+    }
+
+    /** Render the list again if it is shown. */
+    async update() {
+        if (!this.details.open) return;
+
+        let entries;
+        try {
+            entries = await this.client.list();
+        } catch (error) {
+            console.error("Error listing icon cache:", error);
+            this.list.innerHTML = "";
+            const item = document.createElement("li");
+            item.textContent =
+                "Cache status is unavailable (the service worker is not running).";
+            this.list.appendChild(item);
+            return;
+        }
+
+        const entryByUrl = new Map(entries.map((entry) => [entry.url, entry]));
+        this.list.innerHTML = "";
+        this.siteManager.items.forEach((site) => {
+            // Cached URLs are normalized, e.g. with a trailing slash after the host
+            const iconUrl = URL.canParse(site.icon)
+                ? new URL(site.icon).href
+                : site.icon;
+            this.list.appendChild(
+                this.createRow(site, entryByUrl.get(iconUrl)),
+            );
+        });
+    }
+
+    /**
+     * Create the list row of a site.
+     * @param {Object} site - The site data.
+     * @param {IconCacheEntry} [entry] - The cache entry of its icon, if cached.
+     * @returns {HTMLLIElement} The row element.
+     */
+    createRow(site, entry) {
+        const row = document.createElement("li");
+        row.className = "icon-cache-entry";
+
+        const name = document.createElement("span");
+        name.className = "icon-cache-name";
+        name.textContent = site.name;
+        name.title = site.icon.startsWith("data:") ? "" : site.icon;
+
+        const status = document.createElement("span");
+        status.className = "icon-cache-info";
+        status.textContent = describeIconStatus(site.icon, entry);
+
+        row.append(name, status);
+
+        if (isCachedIcon(site.icon)) {
+            const button = document.createElement("button");
+            button.className = "icon-cache-refresh-btn";
+            button.textContent = "🔄";
+            button.title = "Refresh this icon";
+            button.addEventListener("click", () =>
+                this.refreshIcon(site, button),
+            );
+            row.appendChild(button);
+        }
+        if (entry) {
+            const button = document.createElement("button");
+            button.className = "icon-cache-purge-btn";
+            button.textContent = "🗑";
+            button.title = "Remove from cache";
+            button.addEventListener("click", () =>
+                this.purgeIcon(site, button),
+            );
+            row.appendChild(button);
+        }
+        return row;
+    }
+
+    /**
+     * Download the icon of a site again and show it.
+     * @param {Object} site - The site data.
+     * @param {HTMLButtonElement} button - The refresh button.
+     */
+    async refreshIcon(site, button) {
+        button.disabled = true;
+        try {
+            await this.client.refresh(site.icon);
+            this.siteManager.updateIconElement(site);
+        } catch (error) {
+            console.error("Error refreshing icon:", error);
+            alert(`Failed to refresh the icon of ${site.name}.`);
+        }
+        await this.update();
+    }
+
+    /**
+     * Remove the icon of a site from the cache.
+     * @param {Object} site - The site data.
+     * @param {HTMLButtonElement} button - The purge button.
+     */
+    async purgeIcon(site, button) {
+        button.disabled = true;
+        try {
+            await this.client.purge(site.icon);
+        } catch (error) {
+            console.error("Error purging icon:", error);
+            alert(`Failed to remove the icon of ${site.name} from the cache.`);
+        }
+        await this.update();
+    }
+}
+
+/**
+ * Edits the icon cache policy in the settings dialog. Each input is bound to
+ * a policy field by `data-policy`, and shows it divided by `data-unit`
+ * (e.g. 86400 to show seconds as days).
+ */
+class IconCachePolicyEditor {
+    /**
+     * Create a new IconCachePolicyEditor instance.
+     * @param {HTMLDetailsElement} details - The collapsible element holding the inputs.
+     * @param {IconCacheClient} [client] - The icon cache API client.
+     */
+    constructor(details, client = new IconCacheClient()) {
+        this.details = details;
+        this.inputs = details.querySelectorAll("input[data-policy]");
+        this.client = client;
+
+        // Only query the service worker when the inputs are shown
+        details.addEventListener("toggle", () => this.load());
+        this.inputs.forEach((input) =>
+            input.addEventListener("change", () => this.save(input)),
+        );
+    }
+
+    /**
+     * Get the factor between the policy value and the displayed value of an input.
+     * @param {HTMLInputElement} input - The input.
+     * @returns {number} The unit.
+     */
+    static getUnit(input) {
+        return Number(input.dataset.unit) || 1;
+    }
+
+    /** Show the current policy if the inputs are shown. */
+    async load() {
+        if (!this.details.open) return;
+        try {
+            this.render(await this.client.getPolicy());
+        } catch (error) {
+            console.error("Error reading icon cache policy:", error);
+            this.inputs.forEach((input) => (input.disabled = true));
+        }
+    }
+
+    /**
+     * Show a policy in the inputs.
+     * @param {IconCachePolicy} policy - The cache policy.
+     */
+    render(policy) {
+        this.inputs.forEach((input) => {
+            const value =
+                policy[input.dataset.policy] /
+                IconCachePolicyEditor.getUnit(input);
+            // Avoid long fractions from unit conversion
+            input.value = String(Math.round(value * 100) / 100);
+            input.disabled = false;
+        });
+    }
+
+    /**
+     * Save the value of an input to the policy.
+     * @param {HTMLInputElement} input - The changed input.
+     */
+    async save(input) {
+        const value = input.valueAsNumber;
+        if (!Number.isFinite(value) || value < 0) {
+            alert("Please enter a number of 0 or more (0 means no limit).");
+            await this.load();
+            return;
+        }
+
+        const unit = IconCachePolicyEditor.getUnit(input);
+        try {
+            this.render(
+                await this.client.setPolicy({
+                    [input.dataset.policy]: Math.round(value * unit),
+                }),
+            );
+        } catch (error) {
+            console.error("Error saving icon cache policy:", error);
+            alert("Failed to save the icon cache policy.");
+            await this.load();
+        }
+    }
+}
+
+export {
+    IconCacheClient,
+    IconCachePolicyEditor,
+    IconCacheStatus,
+    isCachedIcon,
+};
@@ -1,4 +1,41 @@
 "use strict";
+import {
+    SCHEMA_VERSION,
+    SchemaError,
+    isPlainObject,
+    readVersioned,
+    writeVersioned,
+} from "./schema.js";
+import { showToast } from "./toast.js";
+
+/** Maximum number of changes that can be undone. */
+const MAX_HISTORY = 50;
+
+/**
+ * @typedef {Object} RejectedEntry
+ * @property {string} name - The entry name, or "(unnamed)".
+ * @property {string[]} errors - Why the entry was rejected.
+ */
+
+/**
+ * @typedef {Object} ImportEntry
+ * @property {"new"|"changed"|"identical"} status - How the entry compares to current items.
+ * @property {Object} data - The entry to import.
+ * @property {Object} [current] - The current item with the same URL, if any.
+ * @property {Array<{field: string, from: *, to: *}>} [changes] - The differing fields, if there is a current item.
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - Description of the change, e.g. "Delete Example".
+ * @property {Object} snapshot - The state before (undo stack) or after (redo stack) the change.
+ */
+
+/**
+ * @typedef {Object} ImportDiff
+ * @property {ImportEntry[]} entries - The valid entries, in file order.
+ * @property {RejectedEntry[]} rejected - The malformed or repeated entries.
+ */
 
 /**
  * Base class for managing card-based items with drag-drop, editing, and CRUD operations.
@@ -8,12 +45,16 @@ class CardManager extends EventTarget {
     /**
      * Create a new CardManager instance.
      * @param {HTMLElement} container - The container element for cards.
-     * @param {string} storageKey - localStorage key for persisting data.
+     * @param {string} storageKey - Storage key for persisting data.
+     * @param {import('./storage.js').StorageAdapter} storage - The storage backend.
+     * @param {import('./icons.js').IconPicker} iconPicker - The dialog for choosing icons.
      */
-    constructor(container, storageKey) {
+    constructor(container, storageKey, storage, iconPicker) {
         super();
         this.container = container;
         this.storageKey = storageKey;
+        this.storage = storage;
+        this.iconPicker = iconPicker;
         /**
          * Array of items.
          * @type {Array<{id: string, name: string, url: string, icon: string}>}
@@ -29,32 +70,161 @@ class CardManager extends EventTarget {
          * @type {DOMParser}
          */
         this.parser = new DOMParser();
+        /**
+         * Changes that can be undone, most recent last.
+         * @type {HistoryEntry[]}
+         */
+        this.undoStack = [];
+        /**
+         * Undone changes that can be redone, most recent last.
+         * @type {HistoryEntry[]}
+         */
+        this.redoStack = [];
+        /**
+         * Scheduled sync with changes made in other tabs, if any.
+         * @type {Promise<void>|null}
+         */
+        this.pendingSync = null;
+
+        // Keep in sync with changes made in other tabs
+        this.storage.addEventListener("change", (e) =>
+            this.handleStorageChange(e),
+        );
     }
 
-    /** Initialize the manager: load items, render cards. */
-    init() {
-        this.loadItems();
+    /**
+     * Initialize the manager: load items, render cards.
+     * Dispatches an update event once the items are loaded.
+     */
+    async init() {
+        await this.loadItems();
         this.renderItems();
+        this.dispatchEvent(new Event("itemsUpdated"));
     }
 
     /**
-     * Load items from localStorage.
+     * Load items from storage, migrating them to the current schema.
+     * Malformed items are dropped with a warning.
      * On first load (no stored data), uses getDefaultItems().
      */
-    loadItems() {
+    async loadItems() {
         try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                this.items = JSON.parse(stored);
+            const stored = await this.storage.get(this.storageKey);
+            if (stored !== undefined) {
+                const { version, value } = readVersioned(stored, "items");
+                const { items, rejected } = this.migrateItems(value, version);
+                if (rejected.length > 0) {
+                    console.warn(
+                        `Dropped ${rejected.length} malformed item(s) from ${this.storageKey}:`,
+                        rejected,
+                    );
+                }
+                let id = Date.now();
+                items.forEach((item) => {
+                    item.id ??= (id++).toString();
+                });
+                this.items = items;
             } else {
                 this.items = this.getDefaultItems();
             }
         } catch (error) {
-            console.error("Error loading items from localStorage:", error);
+            console.error("Error loading items from storage:", error);
             this.items = this.getDefaultItems();
         }
     }
 
+    /**
+     * Migrate items from given schema version to the current one and validate them.
+     * @param {Array} itemsData - Array of items in given schema version.
+     * @param {number} version - The schema version of the items.
+     * @returns {{items: Array, rejected: RejectedEntry[]}} The valid, migrated items and the rejected ones.
+     * @throws {SchemaError} If the items are not an array.
+     */
+    migrateItems(itemsData, version) {
+        if (!Array.isArray(itemsData)) {
+            throw new SchemaError("Expected a list of entries");
+        }
+
+        const items = [];
+        const rejected = [];
+        itemsData.forEach((itemData) => {
+            if (!isPlainObject(itemData)) {
+                rejected.push({
+                    name: "(unnamed)",
+                    errors: ["Entry is not an object"],
+                });
+                return;
+            }
+
+            let item = itemData;
+            for (let v = version; v < SCHEMA_VERSION; v++) {
+                item = this.upgradeItem(item, v);
+            }
+
+            const errors = this.validateItem(item);
+            if (errors.length > 0) {
+                rejected.push({ name: CardManager.getEntryName(item), errors });
+            } else {
+                items.push(item);
+            }
+        });
+        return { items, rejected };
+    }
+
+    /**
+     * Upgrade an item by one schema version.
+     * Override in subclasses to migrate their own fields, applying super first.
+     * @param {Object} item - The item in given schema version.
+     * @param {number} version - The schema version of the item.
+     * @returns {Object} The item in the next schema version.
+     */
+    upgradeItem(item, version) {
+        switch (version) {
+            case 1:
+                // Version 2 requires an icon on every item
+                return { ...item, icon: item.icon || "🌐" };
+            default:
+                return item;
+        }
+    }
+
+    /**
+     * Check an item of the current schema version for malformed fields.
+     * Override in subclasses to check their own fields, including the errors of super.
+     * @param {Object} item - The item to check.
+     * @returns {string[]} The problems found, empty if the item is valid.
+     */
+    validateItem(item) {
+        const errors = [];
+        if (typeof item.name !== "string" || !item.name.trim()) {
+            errors.push("Name is missing");
+        }
+        if (typeof item.url !== "string" || !item.url.trim()) {
+            errors.push("URL is missing");
+        } else {
+            const urlError = this.getUrlError(item.url);
+            if (urlError) errors.push(urlError);
+        }
+        if (
+            item.icon !== undefined &&
+            (typeof item.icon !== "string" || !item.icon)
+        ) {
+            errors.push("Icon must be text");
+        }
+        return errors;
+    }
+
+    /**
+     * Get the display name of an entry for reports.
+     * @param {Object} item - The entry.
+     * @returns {string} The entry name, or "(unnamed)".
+     */
+    static getEntryName(item) {
+        return typeof item.name === "string" && item.name.trim()
+            ? item.name
+            : "(unnamed)";
+    }
+
     /**
      * Get default items for first load.
      * Override in subclasses to provide default items.
@@ -64,14 +234,238 @@ class CardManager extends EventTarget {
         return [];
     }
 
-    /** Save items to localStorage and dispatch update event. */
+    /**
+     * Save items to storage in the background and dispatch update event.
+     * Writes are applied in order, so the last save always wins.
+     */
     saveItems() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.items));
-        } catch (error) {
-            console.error("Error saving items to localStorage:", error);
+        this.storage.setMany(this.getStoredValues()).catch((error) => {
+            console.error("Error saving items to storage:", error);
+        });
+        this.dispatchEvent(new Event("itemsUpdated"));
+    }
+
+    /**
+     * Get the data of this manager as stored, saved together by saveItems().
+     * Override in subclasses persisting more than the items, including super.
+     * @returns {Object<string, *>} The stored values, by storage key.
+     */
+    getStoredValues() {
+        return { [this.storageKey]: writeVersioned("items", this.items) };
+    }
+
+    /**
+     * Get the storage keys holding the data of this manager.
+     * @returns {string[]} The storage keys.
+     */
+    getStorageKeys() {
+        return Object.keys(this.getStoredValues());
+    }
+
+    /**
+     * Handle a change of storage made by another tab.
+     * @param {CustomEvent} e - The change event of the storage backend.
+     */
+    handleStorageChange(e) {
+        // A null key means the whole storage may have changed
+        const { key } = e.detail;
+        if (key !== null && !this.getStorageKeys().includes(key)) return;
+        // Keys saved together are reported together: sync once for all
+        this.pendingSync ??= Promise.resolve().then(() => {
+            this.pendingSync = null;
+            return this.syncFromStorage();
+        });
+    }
+
+    /**
+     * Reload the data changed by another tab and re-render all cards.
+     * A card being edited stays in editing mode with its unsaved input, so
+     * saving it applies the edit on top of the other tab's changes. If the
+     * item was deleted in the other tab, a toast offers to restore it.
+     */
+    async syncFromStorage() {
+        const editingCard = this.container.querySelector(".card-item.editing");
+        const editedItem =
+            editingCard &&
+            this.items.find((s) => s.id === editingCard.dataset.id);
+        // Only the fields changed by the user override the other tab's changes
+        const editedFields =
+            editedItem &&
+            Object.fromEntries(
+                Object.entries(this.getEditedFields(editingCard)).filter(
+                    ([key, value]) => (editedItem[key] ?? "") !== value,
+                ),
+            );
+        const focusedClass =
+            editingCard?.contains(document.activeElement) &&
+            document.activeElement.classList.item(
+                document.activeElement.classList.length - 1,
+            );
+
+        const previous = JSON.stringify(this.getSnapshot());
+        const previousHistoryState = JSON.stringify(this.getHistoryState());
+        await this.loadItems();
+        if (JSON.stringify(this.getSnapshot()) === previous) return;
+        if (JSON.stringify(this.getHistoryState()) !== previousHistoryState) {
+            // Snapshots from before the change would revert it
+            this.undoStack = [];
+            this.redoStack = [];
         }
+        this.draggedElement = null;
+        this.renderItems();
         this.dispatchEvent(new Event("itemsUpdated"));
+
+        if (!editedItem) return;
+        const item = this.items.find((s) => s.id === editedItem.id);
+        if (item) {
+            this.resumeEditing(item, editedFields, focusedClass);
+            return;
+        }
+        showToast(`${editedItem.name} was deleted in another tab`, {
+            actionLabel: "Restore",
+            onAction: () => {
+                if (this.items.some((s) => s.id === editedItem.id)) return;
+                this.recordHistory(`Restore ${editedItem.name}`);
+                this.items.push(editedItem);
+                this.saveItems();
+                this.getCardContainer(editedItem).appendChild(
+                    this.createCard(editedItem),
+                );
+                this.resumeEditing(editedItem, editedFields, focusedClass);
+            },
+            host: this.getToastHost(),
+        });
+    }
+
+    /**
+     * Put the card of an item back into editing mode with unsaved input.
+     * @param {Object} item - The item data.
+     * @param {Object} fields - The unsaved field values changed by the user.
+     * @param {string|false} [focusedClass] - Class of the input to focus, if any.
+     */
+    resumeEditing(item, fields, focusedClass) {
+        const card = this.container.querySelector(`[data-id="${item.id}"]`);
+        if (!card) return;
+        this.setCardEditing(card, { ...item, ...fields }, true);
+        if (focusedClass) {
+            card.querySelector(`.${focusedClass}`)?.focus();
+        }
+    }
+
+    /**
+     * Capture the current state for undo/redo.
+     * Override in subclasses holding more state than the items, including super.
+     * @returns {Object} A deep copy of the state.
+     */
+    getSnapshot() {
+        return { items: structuredClone(this.items) };
+    }
+
+    /**
+     * Get the part of the state that undo/redo would revert, to tell whether
+     * a change made by another tab invalidates the recorded history.
+     * Override in subclasses whose snapshots hold view state, such as collapsed groups.
+     * @returns {Object} The state.
+     */
+    getHistoryState() {
+        return this.getSnapshot();
+    }
+
+    /**
+     * Restore a state captured by getSnapshot(), then save and re-render.
+     * Override in subclasses holding more state than the items, applying super last.
+     * @param {Object} snapshot - The captured state.
+     */
+    restoreSnapshot(snapshot) {
+        this.items = structuredClone(snapshot.items);
+        this.renderItems();
+        this.saveItems();
+    }
+
+    /**
+     * Record the state before a change, so the change can be undone.
+     * Clears the changes that could be redone.
+     * @param {string} label - Description of the change.
+     * @param {Object} [snapshot] - The state before the change, captured by
+     *     getSnapshot(). Defaults to the current state, for an upcoming change.
+     */
+    recordHistory(label, snapshot = this.getSnapshot()) {
+        this.undoStack.push({ label, snapshot });
+        if (this.undoStack.length > MAX_HISTORY) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo the most recent change.
+     * @returns {string|null} The label of the undone change, or null if there is nothing to undo.
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push({
+            label: entry.label,
+            snapshot: this.getSnapshot(),
+        });
+        this.restoreSnapshot(entry.snapshot);
+        return entry.label;
+    }
+
+    /**
+     * Redo the most recently undone change.
+     * @returns {string|null} The label of the redone change, or null if there is nothing to redo.
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push({
+            label: entry.label,
+            snapshot: this.getSnapshot(),
+        });
+        this.restoreSnapshot(entry.snapshot);
+        return entry.label;
+    }
+
+    /**
+     * Handle the undo (Ctrl+Z) and redo (Ctrl+Shift+Z, Ctrl+Y) shortcuts.
+     * Text fields being edited keep their own undo.
+     * @param {KeyboardEvent} e - The keydown event.
+     * @returns {boolean} Whether the event was handled.
+     */
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return false;
+        const key = e.key.toLowerCase();
+        const isUndo = key === "z" && !e.shiftKey;
+        const isRedo =
+            (key === "z" && e.shiftKey) || (key === "y" && !e.shiftKey);
+        if (!isUndo && !isRedo) return false;
+
+        const target = e.target;
+        if (
+            target.isContentEditable ||
+            (["INPUT", "TEXTAREA"].includes(target.tagName) && !target.readOnly)
+        ) {
+            return false;
+        }
+
+        e.preventDefault();
+        const label = isUndo ? this.undo() : this.redo();
+        if (label) {
+            showToast(`${isUndo ? "Undone" : "Redone"}: ${label}`, {
+                host: this.getToastHost(),
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Get the element toasts of this manager are shown in.
+     * Toasts must be inside an open modal dialog to be visible and interactive.
+     * @returns {HTMLElement} The host element.
+     */
+    getToastHost() {
+        return this.container.closest("dialog") ?? document.body;
     }
 
     /**
@@ -128,19 +522,22 @@ class CardManager extends EventTarget {
     /**
      * Add a new item with default values and start editing.
      * Uses getPlaceholderItem() to get the template.
+     * @param {Object} [fields] - Extra fields overriding the template.
      */
-    addNewItem() {
+    addNewItem(fields = {}) {
         const item = {
             id: Date.now().toString(),
             ...this.getPlaceholderItem(),
+            ...fields,
         };
 
+        this.recordHistory(`Add ${item.name}`);
         this.items.push(item);
         this.saveItems();
 
         // Append the new card directly
         const card = this.createCard(item);
-        this.container.appendChild(card);
+        this.getCardContainer(item).appendChild(card);
         this.setCardEditing(card, item, true);
         this.selectItemName(card);
     }
@@ -164,29 +561,31 @@ class CardManager extends EventTarget {
      */
     saveEdit(itemId) {
         const card = this.container.querySelector(`[data-id="${itemId}"]`);
+        const fields = this.getEditedFields(card);
 
-        const nameInput = card.querySelector(".site-name");
-        const urlInput = card.querySelector(".site-url");
-
-        const name = nameInput.value.trim();
-        const url = urlInput.value.trim();
-
-        if (!name || !url) {
+        if (!fields.name || !fields.url) {
             alert("Name and URL are required.");
             return;
         }
 
-        // Validate URL if needed (can be overridden by subclass)
-        if (!this.validateUrl(url)) {
-            // Subclass validateUrl should handle error messages
+        // Validate fields if needed (can be overridden by subclass)
+        if (!this.validateFields(fields, itemId)) {
+            // Subclass validation should handle error messages
             return;
         }
 
         const itemIndex = this.items.findIndex((s) => s.id === itemId);
         if (itemIndex === -1) return;
 
-        this.items[itemIndex].name = name;
-        this.items[itemIndex].url = url;
+        const current = this.items[itemIndex];
+        if (
+            Object.keys(fields).some(
+                (key) => (current[key] ?? "") !== fields[key],
+            )
+        ) {
+            this.recordHistory(`Edit ${current.name}`);
+        }
+        Object.assign(current, fields);
 
         this.saveItems();
 
@@ -196,8 +595,51 @@ class CardManager extends EventTarget {
 
         // Update card href if it's a link (for SiteManager)
         if (card.href) {
-            card.href = url;
+            card.href = fields.url;
         }
+
+        this.handleItemSaved(item);
+    }
+
+    /**
+     * Called after an item was edited or dropped in and saved.
+     * Override in subclasses deriving data from the saved fields (e.g. icons).
+     * @param {Object} item - The saved item.
+     */
+    handleItemSaved(item) {}
+
+    /**
+     * Read the edited fields from a card's inputs.
+     * Can be overridden by subclasses with extra inputs.
+     * @param {HTMLElement} card - The card element.
+     * @returns {Object} The trimmed field values, with at least `name` and `url`.
+     */
+    getEditedFields(card) {
+        return {
+            name: card.querySelector(".site-name").value.trim(),
+            url: card.querySelector(".site-url").value.trim(),
+        };
+    }
+
+    /**
+     * Validate edited fields before saving.
+     * Can be overridden by subclasses validating extra fields.
+     * @param {Object} fields - The edited fields.
+     * @param {string} itemId - The ID of the item being edited.
+     * @returns {boolean} Whether the fields are valid.
+     */
+    validateFields(fields, itemId) {
+        return this.validateUrl(fields.url);
+    }
+
+    /**
+     * Get the problem with a URL, if any.
+     * Can be overridden by subclasses for specific validation.
+     * @param {string} url - The URL to check.
+     * @returns {string|null} The problem, or null if the URL is valid.
+     */
+    getUrlError(url) {
+        return URL.canParse(url) ? null : "Invalid URL";
     }
 
     /**
@@ -207,7 +649,7 @@ class CardManager extends EventTarget {
      * @returns {boolean} Whether the URL is valid.
      */
     validateUrl(url) {
-        return URL.canParse(url);
+        return !this.getUrlError(url);
     }
 
     /**
@@ -257,11 +699,31 @@ class CardManager extends EventTarget {
         const index = this.items.findIndex((s) => s.id === itemId);
         if (index === -1) return false;
 
+        const { name } = this.items[index];
+        this.recordHistory(`Delete ${name}`);
+        const entry = this.undoStack.at(-1);
         this.items.splice(index, 1);
         this.saveItems();
+
+        showToast(`Deleted ${name}`, {
+            actionLabel: "Undo",
+            // Only undo the deletion, not a change made after it
+            onAction: () => this.undoStack.at(-1) === entry && this.undo(),
+            host: this.getToastHost(),
+        });
         return true;
     }
 
+    /**
+     * Get the element that the card of given item should be appended to.
+     * Can be overridden by subclasses that render cards into sub-containers.
+     * @param {Object} item - The item data.
+     * @returns {HTMLElement} The element holding the card.
+     */
+    getCardContainer(item) {
+        return this.container;
+    }
+
     /** Render all items as cards (only used on initial load). */
     renderItems() {
         this.container.innerHTML = "";
@@ -393,34 +855,78 @@ class CardManager extends EventTarget {
             if (isEditing) {
                 e.preventDefault();
                 e.stopPropagation();
-
-                const newIcon = prompt("Enter icon (emoji or URL):", item.icon);
-                if (newIcon) {
-                    const itemIndex = this.items.findIndex(
-                        (s) => s.id === item.id,
-                    );
-                    if (itemIndex !== -1) {
-                        this.items[itemIndex].icon = newIcon;
-                        this.saveItems();
-
-                        // Update icon display
-                        if (URL.canParse(newIcon)) {
-                            iconElement.innerHTML = "";
-                            const img = document.createElement("img");
-                            img.src = newIcon;
-                            img.alt = item.name;
-                            iconElement.appendChild(img);
-                        } else {
-                            iconElement.innerHTML = newIcon;
-                        }
-                    }
-                }
+                this.editIcon(item.id);
             }
         });
 
         return iconElement;
     }
 
+    /**
+     * Let the user choose the icon of an item in the icon picker.
+     * @param {string} itemId - The ID of the item.
+     */
+    async editIcon(itemId) {
+        const item = this.items.find((s) => s.id === itemId);
+        if (!item) return;
+
+        const choice = await this.iconPicker.pick(item.icon, {
+            name: item.name,
+            canReset: this.canResetIcon(item),
+        });
+        // The item may have been replaced while the picker was open
+        const current = this.items.find((s) => s.id === itemId);
+        if (!choice || !current) return;
+
+        this.recordHistory(`Change icon of ${current.name}`);
+        if (choice.reset) {
+            this.resetItemIcon(current);
+        } else {
+            this.setItemIcon(current, choice.icon);
+        }
+        this.saveItems();
+        this.updateIconElement(current);
+        this.handleItemSaved(current);
+    }
+
+    /**
+     * Check whether the icon of an item can be reset to an automatic one.
+     * Override in subclasses able to find icons by themselves.
+     * @param {Object} item - The item data.
+     * @returns {boolean} Whether the icon can be reset.
+     */
+    canResetIcon(item) {
+        return false;
+    }
+
+    /**
+     * Reset the icon of an item, so it gets found automatically.
+     * Override in subclasses able to find icons by themselves.
+     * @param {Object} item - The item data.
+     */
+    resetItemIcon(item) {}
+
+    /**
+     * Set the icon of an item chosen by the user.
+     * Can be overridden by subclasses tracking where icons come from.
+     * @param {Object} item - The item data.
+     * @param {string} icon - The new icon (text, emoji or URL).
+     */
+    setItemIcon(item, icon) {
+        item.icon = icon;
+    }
+
+    /**
+     * Replace the icon element of an item's card to show its current icon.
+     * @param {Object} item - The item data.
+     */
+    updateIconElement(item) {
+        const card = this.container.querySelector(`[data-id="${item.id}"]`);
+        card?.querySelector(".site-icon")?.replaceWith(
+            this.createIconElement(item, card),
+        );
+    }
+
     /**
      * Create info section with name and URL inputs.
      * @param {Object} item - The item data.
@@ -570,6 +1076,31 @@ class CardManager extends EventTarget {
         return { name: text, url: url };
     }
 
+    /**
+     * Create a new item from a link dropped from outside the app.
+     * @param {DragEvent} dragEvent - The drop event.
+     * @returns {Object|null} The new item, or null if no new link was dropped.
+     */
+    createLinkItem(dragEvent) {
+        const linkData = this.getLinkFromDragEvent(dragEvent);
+        if (!linkData) return null;
+        const { name, url } = linkData;
+
+        // Check for duplicates by URL
+        const exists = this.items.some((s) => s.url === url);
+        if (exists) {
+            alert("This link already exists in your list.");
+            return null;
+        }
+
+        return {
+            id: Date.now().toString(),
+            name: name,
+            url: url,
+            icon: "🌐",
+        };
+    }
+
     /**
      * Handle drag start event.
      * @param {DragEvent} e - The drag event.
@@ -661,14 +1192,18 @@ class CardManager extends EventTarget {
 
                 if (draggedIndex === -1 || targetIndex === -1) return;
 
+                this.recordHistory(`Move ${this.items[draggedIndex].name}`);
+
                 // Move the DOM element directly
                 targetCard.before(draggedCard);
 
                 // Update the items array to match DOM order
+                const targetItem = this.items[targetIndex];
                 const movedItem = this.items.splice(draggedIndex, 1)[0];
                 const newTargetIndex =
                     draggedIndex < targetIndex ? targetIndex - 1 : targetIndex;
                 this.items.splice(newTargetIndex, 0, movedItem);
+                this.placeItemNear(movedItem, targetItem);
 
                 this.saveItems();
                 break;
@@ -680,29 +1215,17 @@ class CardManager extends EventTarget {
                 );
                 if (targetIndex === -1) return;
 
-                const linkData = this.getLinkFromDragEvent(e);
-                if (!linkData) return;
-                const { name, url } = linkData;
-
-                // Check for duplicates by URL
-                const exists = this.items.some((s) => s.url === url);
-                if (exists) {
-                    alert("This link already exists in your list.");
-                    return;
-                }
-
-                const newItem = {
-                    id: Date.now().toString(),
-                    name: name,
-                    url: url,
-                    icon: "🌐",
-                };
+                const newItem = this.createLinkItem(e);
+                if (!newItem) return;
+                this.recordHistory(`Add ${newItem.name}`);
+                this.placeItemNear(newItem, this.items[targetIndex]);
                 this.items.splice(targetIndex, 0, newItem);
                 this.saveItems();
 
                 // Create and insert the new card
                 const newCard = this.createCard(newItem);
                 targetCard.before(newCard);
+                this.handleItemSaved(newItem);
                 break;
             }
             default:
@@ -711,50 +1234,219 @@ class CardManager extends EventTarget {
         }
     }
 
+    /**
+     * Move an item next to another one, e.g. with the keyboard.
+     * @param {string} itemId - The ID of the item to move.
+     * @param {string} targetId - The ID of the item to place it next to.
+     * @param {boolean} after - Whether to place it after the target rather than before.
+     */
+    moveItem(itemId, targetId, after) {
+        const card = this.container.querySelector(`[data-id="${itemId}"]`);
+        const targetCard = this.container.querySelector(
+            `[data-id="${targetId}"]`,
+        );
+        const index = this.items.findIndex((s) => s.id === itemId);
+        const targetItem = this.items.find((s) => s.id === targetId);
+        if (!card || !targetCard || index === -1 || !targetItem) return;
+        if (itemId === targetId) return;
+
+        this.recordHistory(`Move ${this.items[index].name}`);
+
+        // Move the DOM element directly
+        if (after) {
+            targetCard.after(card);
+        } else {
+            targetCard.before(card);
+        }
+
+        // Update the items array to match DOM order
+        const movedItem = this.items.splice(index, 1)[0];
+        const targetIndex = this.items.indexOf(targetItem);
+        this.items.splice(targetIndex + (after ? 1 : 0), 0, movedItem);
+        this.placeItemNear(movedItem, targetItem);
+
+        this.saveItems();
+    }
+
+    /**
+     * Copy positional attributes from the item an item is dropped next to.
+     * Override in subclasses whose items carry such attributes (e.g. groups).
+     * @param {Object} item - The item being placed.
+     * @param {Object} target - The item it is placed in front of.
+     */
+    placeItemNear(item, target) {}
+
+    /**
+     * Convert an item to its exported form (without ID).
+     * @param {Object} item - The item data.
+     * @returns {Object} The exported item.
+     */
+    serializeItem({ name, url, icon }) {
+        return { name, url, icon };
+    }
+
+    /**
+     * Convert an imported entry to item data (without ID).
+     * @param {Object} itemData - The imported entry.
+     * @param {string} [itemId] - ID of the item the entry overwrites, if any.
+     * @returns {Object} The item data.
+     */
+    deserializeItem(itemData, itemId) {
+        return {
+            name: itemData.name,
+            url: itemData.url,
+            icon: itemData.icon || "🌐",
+        };
+    }
+
     /**
      * Export items to a JSON array object (without IDs).
      * @returns {Array} Array of items without IDs.
      */
     exportToJSON() {
-        return this.items.map(({ name, url, icon }) => ({ name, url, icon }));
+        return this.items.map((item) => this.serializeItem(item));
     }
 
     /**
-     * Import items from JSON array object, appending to existing items.
+     * Compare entries to import with current items, matching them by URL.
+     * Entries are migrated from given schema version first. Malformed entries
+     * and entries repeating an earlier URL are rejected.
      * @param {Array} itemsData - Array of item objects to import.
-     * @returns {number} The number of items successfully imported.
+     * @param {number} [version] - The schema version of the entries.
+     * @returns {ImportDiff} The comparison result.
+     * @throws {SchemaError} If the entries are not an array.
      */
-    importFromJSON(itemsData) {
-        let importedCount = 0;
-        let id = Date.now();
-
-        itemsData.forEach((itemData) => {
-            if (!itemData.name || !itemData.url) {
-                return; // Skip invalid entries
+    diffImport(itemsData, version = SCHEMA_VERSION) {
+        const { items, rejected } = this.migrateItems(itemsData, version);
+        const diff = { entries: [], rejected };
+        const seenUrls = new Set();
+
+        items.forEach((itemData) => {
+            if (seenUrls.has(itemData.url)) {
+                diff.rejected.push({
+                    name: CardManager.getEntryName(itemData),
+                    errors: ["Repeats the URL of an earlier entry"],
+                });
+                return;
             }
+            seenUrls.add(itemData.url);
 
-            // Check for duplicates by URL
-            const exists = this.items.some((s) => s.url === itemData.url);
-            if (exists) {
-                return; // Skip duplicates
+            const current = this.items.find((s) => s.url === itemData.url);
+            if (!current) {
+                diff.entries.push({ status: "new", data: itemData });
+                return;
             }
 
-            this.items.push({
-                id: (id++).toString(),
-                name: itemData.name,
-                url: itemData.url,
-                icon: itemData.icon || "🌐",
+            const changes = this.compareItem(current, itemData);
+            diff.entries.push({
+                status: changes.length > 0 ? "changed" : "identical",
+                data: itemData,
+                current,
+                changes,
             });
-            importedCount++;
         });
 
-        if (importedCount > 0) {
+        return diff;
+    }
+
+    /**
+     * List the fields that differ between an item and an entry to import.
+     * @param {Object} item - The current item.
+     * @param {Object} itemData - The entry to import.
+     * @returns {Array<{field: string, from: *, to: *}>} The differing fields.
+     */
+    compareItem(item, itemData) {
+        const current = this.serializeItem(item);
+        const fields = new Set([
+            ...Object.keys(current),
+            ...Object.keys(itemData),
+        ]);
+        fields.delete("id");
+
+        const changes = [];
+        fields.forEach((field) => {
+            // Treat missing, empty and false values alike
+            const from = current[field] || "";
+            const to = itemData[field] || "";
+            if (from !== to) {
+                changes.push({ field, from, to });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Apply a compared import, as one change that can be undone.
+     * When merging, new entries are appended and picked changed entries overwrite their items.
+     * When replacing, all current items are discarded in favour of the imported entries;
+     * entries with the URL of a current item keep its ID.
+     * @param {ImportDiff} diff - The comparison result from diffImport().
+     * @param {Object} [options] - Import options.
+     * @param {boolean} [options.replace] - Whether to replace all current items.
+     * @param {Set<Object>} [options.overwrite] - Changed entries to overwrite their items with.
+     * @returns {number} The number of items added or overwritten.
+     */
+    applyImport(diff, options = {}) {
+        const snapshot = this.getSnapshot();
+        const importedCount = this.importItems(diff, options);
+        if (JSON.stringify(this.getSnapshot()) !== JSON.stringify(snapshot)) {
+            this.recordHistory("Import", snapshot);
+        }
+        return importedCount;
+    }
+
+    /**
+     * Apply the entries of a compared import, see applyImport().
+     * Override in subclasses importing more than the items, including super.
+     * @param {ImportDiff} diff - The comparison result from diffImport().
+     * @param {Object} [options] - Import options, see applyImport().
+     * @returns {number} The number of items added or overwritten.
+     */
+    importItems(diff, { replace = false, overwrite = new Set() } = {}) {
+        let importedCount = 0;
+        let id = Date.now();
+
+        if (replace) {
+            this.items = [];
+        }
+
+        diff.entries.forEach((entry) => {
+            if (replace || entry.status === "new") {
+                // Replaced items keep their ID, and so their launch statistics
+                const itemId = entry.current?.id;
+                this.items.push({
+                    id: itemId ?? (id++).toString(),
+                    ...this.deserializeItem(entry.data, itemId),
+                });
+                importedCount++;
+            } else if (entry.status === "changed" && overwrite.has(entry)) {
+                const index = this.items.indexOf(entry.current);
+                if (index === -1) return;
+                this.items[index] = {
+                    id: entry.current.id,
+                    ...this.deserializeItem(entry.data, entry.current.id),
+                };
+                importedCount++;
+            }
+        });
+
+        if (replace || importedCount > 0) {
             this.saveItems();
             this.renderItems();
         }
 
         return importedCount;
     }
+
+    /**
+     * Import items from JSON array object, appending to existing items.
+     * Entries whose URL already exists and malformed entries are skipped.
+     * @param {Array} itemsData - Array of item objects to import.
+     * @returns {number} The number of items successfully imported.
+     */
+    importFromJSON(itemsData) {
+        return this.applyImport(this.diffImport(itemsData));
+    }
 }
 
 export { CardManager };
@@ -1,25 +1,249 @@
-/** Sets up a precise digital clock. */
-function preciseClock() {
-    const now = new Date();
-    const ms = now.getMilliseconds();
+"use strict";
 
-    // Calculate time until the next second mark
-    const delay = 1000 - ms;
+/** Preferences affecting the clock display. */
+const CLOCK_PREFERENCES = [
+    "clockShowDate",
+    "clockShowSeconds",
+    "clockHourCycle",
+    "clockLocale",
+    "clockTimeZones",
+];
 
-    // Update the display
-    let hours = now.getHours();
-    let minutes = now.getMinutes();
-    let seconds = now.getSeconds();
+/**
+ * Check whether a time zone name is known to the browser.
+ * @param {string} timeZone - The IANA time zone name, e.g. "Asia/Tokyo".
+ * @returns {boolean} Whether the time zone is valid.
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string") return false;
+    try {
+        new Intl.DateTimeFormat(undefined, { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get a short label for a time zone, e.g. "New York" for "America/New_York".
+ * @param {string} timeZone - The IANA time zone name.
+ * @returns {string} The label.
+ */
+function getTimeZoneLabel(timeZone) {
+    return timeZone.split("/").pop().replaceAll("_", " ");
+}
+
+/** A precise digital clock, with optional date and clocks of other time zones. */
+class Clock {
+    /**
+     * Create a new Clock instance.
+     * @param {HTMLElement} element - The clock element.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+     */
+    constructor(element, preferences) {
+        this.element = element;
+        this.timeElement = element.querySelector(".clock-time");
+        this.dateElement = element.querySelector(".clock-date");
+        this.zonesElement = element.querySelector(".clock-zones");
+        this.preferences = preferences;
+        this.timeoutId = null;
+        /** Removes the preferences listener on destroy(). */
+        this.listenersController = new AbortController();
+
+        this.createFormatters();
+        this.preferences.addEventListener(
+            "preferencesUpdated",
+            (e) => {
+                if (CLOCK_PREFERENCES.includes(e.detail.key)) {
+                    this.createFormatters();
+                    this.render();
+                }
+            },
+            { signal: this.listenersController.signal },
+        );
+    }
+
+    /** Create the date formatters from the clock preferences. */
+    createFormatters() {
+        const locale = this.preferences.get("clockLocale") || undefined;
+        const hourCycle = this.preferences.get("clockHourCycle");
+        const timeOptions = {
+            hour: "2-digit",
+            minute: "2-digit",
+            second: this.preferences.get("clockShowSeconds")
+                ? "2-digit"
+                : undefined,
+            hourCycle: hourCycle === "auto" ? undefined : hourCycle,
+        };
+        const dateOptions = {
+            weekday: "long",
+            year: "numeric",
+            month: "long",
+            day: "numeric",
+        };
+
+        try {
+            this.timeFormat = new Intl.DateTimeFormat(locale, timeOptions);
+            this.dateFormat = new Intl.DateTimeFormat(locale, dateOptions);
+        } catch (error) {
+            // Preferences are validated when set, but may come from an older browser
+            console.warn("Invalid clock locale, using the default:", error);
+            this.timeFormat = new Intl.DateTimeFormat(undefined, timeOptions);
+            this.dateFormat = new Intl.DateTimeFormat(undefined, dateOptions);
+        }
+
+        this.zones = this.preferences
+            .get("clockTimeZones")
+            .filter(({ timeZone }) => isValidTimeZone(timeZone))
+            .map(({ label, timeZone }) => ({
+                label,
+                format: new Intl.DateTimeFormat(
+                    this.timeFormat.resolvedOptions().locale,
+                    {
+                        ...timeOptions,
+                        second: undefined,
+                        timeZone,
+                    },
+                ),
+            }));
+    }
+
+    /** Start updating the clock on every second mark. */
+    start() {
+        const now = new Date();
+        this.render(now);
+
+        // Calculate time until the next second mark
+        const delay = 1000 - now.getMilliseconds();
+        this.timeoutId = setTimeout(() => this.start(), delay);
+    }
+
+    /** Stop updating the clock. */
+    stop() {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+    }
+
+    /** Stop updating the clock and following preference changes. */
+    destroy() {
+        this.stop();
+        this.listenersController.abort();
+    }
+
+    /**
+     * Update the display.
+     * @param {Date} [now] - The time to show.
+     */
+    render(now = new Date()) {
+        this.timeElement.textContent = this.timeFormat.format(now);
+
+        const showDate = this.preferences.get("clockShowDate");
+        this.dateElement.hidden = !showDate;
+        if (showDate) {
+            this.dateElement.textContent = this.dateFormat.format(now);
+        }
+
+        this.zonesElement.hidden = this.zones.length === 0;
+        this.zonesElement.innerHTML = "";
+        this.zones.forEach(({ label, format }) => {
+            const zone = document.createElement("span");
+            zone.className = "clock-zone";
+            const name = document.createElement("span");
+            name.className = "clock-zone-label";
+            name.textContent = label;
+            zone.append(name, format.format(now));
+            this.zonesElement.appendChild(zone);
+        });
+    }
+}
+
+/** Edits the clocks of other time zones in the settings dialog. */
+class TimeZoneList {
+    /**
+     * Create a new TimeZoneList instance.
+     * @param {HTMLElement} container - The element holding the list and the form to add time zones.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+     */
+    constructor(container, preferences) {
+        this.list = container.querySelector(".time-zone-list");
+        this.form = container.querySelector(".time-zone-form");
+        this.labelInput = container.querySelector(".time-zone-label-input");
+        this.zoneInput = container.querySelector(".time-zone-input");
+        this.preferences = preferences;
+
+        // Suggest the time zones known to the browser
+        const options = container.querySelector("datalist");
+        (Intl.supportedValuesOf?.("timeZone") ?? []).forEach((timeZone) => {
+            const option = document.createElement("option");
+            option.value = timeZone;
+            options.appendChild(option);
+        });
+
+        this.form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            this.add();
+        });
+        this.preferences.addEventListener("preferencesUpdated", (e) => {
+            if (e.detail.key === "clockTimeZones") this.render();
+        });
+        this.render();
+    }
+
+    /** Render the list of time zones. */
+    render() {
+        this.list.innerHTML = "";
+        this.preferences.get("clockTimeZones").forEach((zone, index) => {
+            const item = document.createElement("li");
+            item.className = "time-zone-entry";
+
+            const label = document.createElement("span");
+            label.className = "time-zone-name";
+            label.textContent = zone.label;
+            const timeZone = document.createElement("span");
+            timeZone.className = "time-zone-id";
+            timeZone.textContent = zone.timeZone;
+
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "time-zone-remove-btn";
+            button.textContent = "✕";
+            button.title = "Remove this clock";
+            button.addEventListener("click", () => this.remove(index));
+
+            item.append(label, timeZone, button);
+            this.list.appendChild(item);
+        });
+    }
 
-    hours = hours < 10 ? "0" + hours : hours;
-    minutes = minutes < 10 ? "0" + minutes : minutes;
-    seconds = seconds < 10 ? "0" + seconds : seconds;
+    /** Add the time zone entered in the form. */
+    add() {
+        const timeZone = this.zoneInput.value.trim();
+        if (!isValidTimeZone(timeZone)) {
+            alert(
+                `Unknown time zone: ${timeZone}. Please use a name like Europe/Paris.`,
+            );
+            return;
+        }
+        const label =
+            this.labelInput.value.trim() || getTimeZoneLabel(timeZone);
 
-    document.getElementById("clock").textContent =
-        `${hours}:${minutes}:${seconds}`;
+        this.preferences.set("clockTimeZones", [
+            ...this.preferences.get("clockTimeZones"),
+            { label, timeZone },
+        ]);
+        this.form.reset();
+    }
 
-    // Schedule the next update
-    setTimeout(preciseClock, delay);
+    /**
+     * Remove a time zone.
+     * @param {number} index - The index of the time zone in the list.
+     */
+    remove(index) {
+        this.preferences.set(
+            "clockTimeZones",
+            this.preferences.get("clockTimeZones").toSpliced(index, 1),
+        );
+    }
 }
 
-export { preciseClock };
+export { Clock, TimeZoneList, isValidTimeZone };
@@ -0,0 +1,84 @@
+"use strict";
+import Fuse from "../vendor/fuse.js@7.1.0/fuse.mjs";
+
+/**
+ * An action of the command palette.
+ * @typedef {Object} Command
+ * @property {string} name - The command name, e.g. "Add site".
+ * @property {string} icon - The command icon (emoji or URL).
+ * @property {string} [description] - Details shown below the name.
+ * @property {Function} run - Performs the command.
+ */
+
+/**
+ * Collects the commands of the command palette. Managers register their
+ * commands once, or a provider listing commands that depend on their data
+ * (e.g. one per site).
+ */
+class CommandRegistry {
+    /** Create a new, empty CommandRegistry instance. */
+    constructor() {
+        /**
+         * Functions returning the current commands, in registration order.
+         * @type {Array<() => Command[]>}
+         */
+        this.providers = [];
+    }
+
+    /**
+     * Register fixed commands.
+     * @param {...Command} commands - The commands.
+     * @returns {() => void} Removes the commands, e.g. when a widget is unmounted.
+     */
+    register(...commands) {
+        return this.registerProvider(() => commands);
+    }
+
+    /**
+     * Register a function listing commands each time the palette is searched.
+     * @param {() => Command[]} provider - Returns the current commands.
+     * @returns {() => void} Removes the provider.
+     */
+    registerProvider(provider) {
+        this.providers.push(provider);
+        return () => {
+            this.providers = this.providers.filter((p) => p !== provider);
+        };
+    }
+
+    /**
+     * Get all current commands.
+     * @returns {Command[]} The commands, in registration order.
+     */
+    getCommands() {
+        return this.providers.flatMap((provider) => {
+            try {
+                return provider();
+            } catch (error) {
+                console.error("Error listing commands:", error);
+                return [];
+            }
+        });
+    }
+
+    /**
+     * Find commands matching a query with fuzzy matching.
+     * @param {string} query - The query, without the palette prefix.
+     * @returns {Command[]} The matching commands, all of them for an empty query.
+     */
+    search(query) {
+        const commands = this.getCommands();
+        if (!query) return commands;
+
+        return new Fuse(commands, {
+            keys: ["name"],
+            threshold: 0.4,
+            ignoreDiacritics: true,
+            ignoreLocation: true,
+        })
+            .search(query)
+            .map((result) => result.item);
+    }
+}
+
+export { CommandRegistry };
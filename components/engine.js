@@ -8,31 +8,55 @@ const DEFAULT_SEARCH_ENGINES = [
     {
         id: "google",
         name: "Google",
+        keyword: "g",
         url: "https://www.google.com/search?q={query}",
         icon: "https://www.gstatic.com/marketing-cms/assets/images/d5/dc/cfe9ce8b4425b410b49b7f2dd3f3/g.webp",
     },
     {
         id: "bing",
         name: "Bing",
+        keyword: "b",
         url: "https://www.bing.com/search?q={query}",
         icon: "https://www.bing.com/favicon.ico",
     },
     {
         id: "duckduckgo",
         name: "DuckDuckGo",
+        keyword: "ddg",
         url: "https://duckduckgo.com/?q={query}",
         icon: "https://duckduckgo.com/favicon.ico",
     },
 ];
 
+/**
+ * Optional engine fields edited on the card besides name and URL.
+ * Shown as `label: value` when not editing, hidden if empty.
+ */
+const EXTRA_FIELDS = [
+    {
+        key: "keyword",
+        className: "site-keyword",
+        placeholder: "Keyword (optional)",
+        label: "Keyword",
+    },
+    {
+        key: "suggestUrl",
+        className: "site-suggest-url",
+        placeholder: "Suggestion URL (optional)",
+        label: "Suggestions",
+    },
+];
+
 /** Manages search engines with card-based UI. */
 class SearchEngineManager extends CardManager {
     /**
      * Create a new SearchEngineManager instance.
      * @param {HTMLElement} container - The container element for engine cards.
+     * @param {import('./storage.js').StorageAdapter} storage - The storage backend.
+     * @param {import('./icons.js').IconPicker} iconPicker - The dialog for choosing icons.
      */
-    constructor(container) {
-        super(container, ENGINE_STORAGE_KEY);
+    constructor(container, storage, iconPicker) {
+        super(container, ENGINE_STORAGE_KEY, storage, iconPicker);
     }
 
     /**
@@ -44,6 +68,8 @@ class SearchEngineManager extends CardManager {
             name: "New Search Engine",
             url: "https://example.com/search?q={query}",
             icon: "🔎",
+            keyword: "",
+            suggestUrl: "",
         };
     }
 
@@ -56,28 +82,333 @@ class SearchEngineManager extends CardManager {
     }
 
     /**
-     * Override URL validation to check for {query} placeholder.
+     * Override URL check to require the {query} placeholder.
+     * @param {string} url - The URL to check.
+     * @returns {string|null} The problem, or null if the URL is valid.
+     */
+    getUrlError(url) {
+        if (!url.includes("{query}")) {
+            return "Search URL must contain {query} placeholder";
+        }
+        // Remove {query} and validate the base URL
+        const baseUrl = url.replace("{query}", "test");
+        return URL.canParse(baseUrl) ? null : "Invalid URL";
+    }
+
+    /**
+     * Get the problem with a suggestion URL, if any.
+     * @param {string} url - The suggestion URL to check, empty for none.
+     * @returns {string|null} The problem, or null if the URL is valid or empty.
+     */
+    getSuggestUrlError(url) {
+        if (!url) return null;
+        return url.includes("{query}") &&
+            URL.canParse(url.replace("{query}", "test"))
+            ? null
+            : "Suggestion URL must be a valid URL containing {query} placeholder";
+    }
+
+    /**
+     * Override URL validation to show an example on error.
      * @param {string} url - The URL to validate.
      * @returns {boolean} Whether the URL is valid.
      */
     validateUrl(url) {
-        if (!url.includes("{query}")) {
+        const error = this.getUrlError(url);
+        if (error) {
             alert(
-                "Search URL must contain {query} placeholder.\nExample: https://www.google.com/search?q={query}",
+                `${error}.\nExample: https://www.google.com/search?q={query}`,
             );
             return false;
         }
-        // Remove {query} and validate the base URL
-        const baseUrl = url.replace("{query}", "test");
-        if (!URL.canParse(baseUrl)) {
+        return true;
+    }
+
+    /**
+     * Upgrade an engine by one schema version.
+     * @param {Object} item - The engine in given schema version.
+     * @param {number} version - The schema version of the engine.
+     * @returns {Object} The engine in the next schema version.
+     */
+    upgradeItem(item, version) {
+        item = super.upgradeItem(item, version);
+        switch (version) {
+            case 1:
+                // Version 2 adds keywords and suggestion URLs
+                return { keyword: "", suggestUrl: "", ...item };
+            default:
+                return item;
+        }
+    }
+
+    /**
+     * Check an engine for malformed fields. Extra fields are optional.
+     * @param {Object} item - The engine to check.
+     * @returns {string[]} The problems found, empty if the engine is valid.
+     */
+    validateItem(item) {
+        const errors = super.validateItem(item);
+        if (
+            item.keyword !== undefined &&
+            (typeof item.keyword !== "string" || /\s/.test(item.keyword))
+        ) {
+            errors.push("Keyword must be text without spaces");
+        }
+        if (item.suggestUrl !== undefined) {
+            const suggestUrlError =
+                typeof item.suggestUrl === "string"
+                    ? this.getSuggestUrlError(item.suggestUrl)
+                    : "Suggestion URL must be text";
+            if (suggestUrlError) errors.push(suggestUrlError);
+        }
+        if (
+            item.isDefault !== undefined &&
+            typeof item.isDefault !== "boolean"
+        ) {
+            errors.push("Default flag must be true or false");
+        }
+        return errors;
+    }
+
+    /**
+     * Find the engine with given keyword (case-insensitive).
+     * @param {string} keyword - The keyword.
+     * @param {string} [excludeId] - ID of an engine to ignore.
+     * @returns {Object|undefined} The engine, if any.
+     */
+    findByKeyword(keyword, excludeId) {
+        keyword = keyword.toLowerCase();
+        return this.items.find(
+            (engine) =>
+                engine.id !== excludeId &&
+                engine.keyword &&
+                engine.keyword.toLowerCase() === keyword,
+        );
+    }
+
+    /**
+     * Override field validation to also check the keyword and suggestion URL.
+     * @param {Object} fields - The edited fields.
+     * @param {string} itemId - The ID of the engine being edited.
+     * @returns {boolean} Whether the fields are valid.
+     */
+    validateFields(fields, itemId) {
+        if (!super.validateFields(fields, itemId)) {
+            return false;
+        }
+        if (/\s/.test(fields.keyword)) {
+            alert("Keyword must not contain spaces.");
+            return false;
+        }
+        if (fields.keyword && this.findByKeyword(fields.keyword, itemId)) {
+            alert(`Keyword "${fields.keyword}" is already used.`);
+            return false;
+        }
+        const suggestUrlError = this.getSuggestUrlError(fields.suggestUrl);
+        if (suggestUrlError) {
             alert(
-                "Please enter a valid URL.\nExample: https://www.google.com/search?q={query}",
+                `${suggestUrlError}.\nExample: https://example.com/suggest?q={query}`,
             );
             return false;
         }
         return true;
     }
 
+    /**
+     * Override createInfoSection to add inputs of extra fields.
+     * @param {Object} item - The engine data.
+     * @returns {HTMLElement} The info section.
+     */
+    createInfoSection(item) {
+        const siteInfo = super.createInfoSection(item);
+
+        EXTRA_FIELDS.forEach((field) => {
+            const input = document.createElement("input");
+            input.type = "text";
+            input.className = `site-extra ${field.className}`;
+            input.placeholder = field.placeholder;
+            input.value = this.formatExtraField(field, item[field.key]);
+            input.readOnly = true;
+            siteInfo.appendChild(input);
+        });
+
+        return siteInfo;
+    }
+
+    /**
+     * Override setCardEditing to toggle inputs of extra fields.
+     * @param {HTMLElement} card - The card element.
+     * @param {Object} item - The engine data.
+     * @param {boolean} enable - Whether to enable editing mode.
+     */
+    setCardEditing(card, item, enable) {
+        super.setCardEditing(card, item, enable);
+
+        EXTRA_FIELDS.forEach((field) => {
+            const input = card.querySelector(`.${field.className}`);
+            input.readOnly = !enable;
+            input.value = enable
+                ? (item[field.key] ?? "")
+                : this.formatExtraField(field, item[field.key]);
+        });
+    }
+
+    /**
+     * Override getEditedFields to read extra fields.
+     * @param {HTMLElement} card - The card element.
+     * @returns {Object} The edited fields.
+     */
+    getEditedFields(card) {
+        const fields = super.getEditedFields(card);
+        EXTRA_FIELDS.forEach((field) => {
+            fields[field.key] = card
+                .querySelector(`.${field.className}`)
+                .value.trim();
+        });
+        return fields;
+    }
+
+    /**
+     * Format an extra field for display.
+     * @param {Object} field - The field description from `EXTRA_FIELDS`.
+     * @param {string} [value] - The field value.
+     * @returns {string} The formatted value, or an empty string if none.
+     */
+    formatExtraField(field, value) {
+        return value ? `${field.label}: ${value}` : "";
+    }
+
+    /**
+     * Export an engine with its extra fields.
+     * @param {Object} item - The engine data.
+     * @returns {Object} The exported engine.
+     */
+    serializeItem(item) {
+        const data = super.serializeItem(item);
+        EXTRA_FIELDS.forEach(({ key }) => {
+            if (item[key]) {
+                data[key] = item[key];
+            }
+        });
+        if (item.isDefault) {
+            data.isDefault = true;
+        }
+        return data;
+    }
+
+    /**
+     * Import an engine, keeping its keyword unless invalid or already used.
+     * Suggestion URLs without placeholder are dropped.
+     * @param {Object} itemData - The imported engine.
+     * @param {string} [itemId] - ID of the engine the entry overwrites, if any.
+     * @returns {Object} The engine data.
+     */
+    deserializeItem(itemData, itemId) {
+        const item = super.deserializeItem(itemData, itemId);
+        const keyword = itemData.keyword;
+        item.keyword =
+            typeof keyword === "string" &&
+            /^\S+$/.test(keyword) &&
+            !this.findByKeyword(keyword, itemId)
+                ? keyword
+                : "";
+        item.suggestUrl =
+            typeof itemData.suggestUrl === "string" &&
+            itemData.suggestUrl.includes("{query}")
+                ? itemData.suggestUrl
+                : "";
+        // Keep the current default engine, if any
+        if (
+            itemData.isDefault === true &&
+            !this.items.some(
+                (engine) => engine.isDefault && engine.id !== itemId,
+            )
+        ) {
+            item.isDefault = true;
+        }
+        return item;
+    }
+
+    /**
+     * Get the default engine: the one marked as default, or the first one.
+     * @returns {Object|undefined} The default engine, if there are any engines.
+     */
+    getDefaultEngine() {
+        return this.items.find((engine) => engine.isDefault) ?? this.items[0];
+    }
+
+    /**
+     * Mark an engine as the default one.
+     * @param {string} itemId - The ID of the engine.
+     */
+    setDefaultEngine(itemId) {
+        const item = this.items.find((s) => s.id === itemId);
+        if (!item || item.isDefault) return;
+
+        this.recordHistory(`Make ${item.name} the default`);
+        this.items.forEach((engine) => {
+            engine.isDefault = engine.id === itemId;
+        });
+        this.saveItems();
+    }
+
+    /** Save engines, then mark the (possibly changed) default engine. */
+    saveItems() {
+        super.saveItems();
+        this.updateDefaultButtons();
+    }
+
+    /** Update the default buttons on all cards to reflect the default engine. */
+    updateDefaultButtons() {
+        const defaultEngine = this.getDefaultEngine();
+        this.container.querySelectorAll(".default-btn").forEach((button) => {
+            const card = button.closest(".card-item");
+            this.setDefaultButton(
+                button,
+                card.dataset.id === defaultEngine?.id,
+            );
+        });
+    }
+
+    /**
+     * Update a default button.
+     * @param {HTMLButtonElement} button - The default button.
+     * @param {boolean} isDefault - Whether its engine is the default one.
+     */
+    setDefaultButton(button, isDefault) {
+        button.classList.toggle("is-default", isDefault);
+        button.innerHTML = isDefault ? "★" : "☆";
+        button.setAttribute(
+            "title",
+            isDefault ? "Default search engine" : "Set as default",
+        );
+    }
+
+    /**
+     * Override createActionsDiv to add the default button.
+     * @param {Object} item - The engine data.
+     * @param {HTMLElement} card - The parent card element.
+     * @returns {HTMLElement} The actions div.
+     */
+    createActionsDiv(item, card) {
+        const actionsDiv = super.createActionsDiv(item, card);
+
+        const defaultBtn = document.createElement("button");
+        defaultBtn.className = "default-btn";
+        this.setDefaultButton(
+            defaultBtn,
+            item.id === this.getDefaultEngine()?.id,
+        );
+        defaultBtn.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.setDefaultEngine(item.id);
+        });
+        actionsDiv.prepend(defaultBtn);
+
+        return actionsDiv;
+    }
+
     /**
      * Override createCardElement to create non-link cards.
      * @param {Object} item - The engine data.
@@ -98,16 +429,87 @@ class SearchEngineManager extends CardManager {
     }
 
     /**
-     * Get all engines as search result objects.
+     * Create a search result object for an engine.
+     * @param {Object} engine - The engine data.
      * @param {string} query - The search query.
-     * @returns {Array<{name: string, url: string, icon: string}>} Search result objects.
+     * @returns {{name: string, url: string, icon: string}} The search result object.
      */
-    getSearchResults(query) {
-        return this.items.map((engine) => ({
+    createSearchResult(engine, query) {
+        return {
             name: `Search ${engine.name} for "${query}"`,
             url: engine.url.replace("{query}", encodeURIComponent(query)),
             icon: engine.icon,
-        }));
+        };
+    }
+
+    /**
+     * Split a query into the engine whose keyword prefixes it and the rest.
+     * For example, `gh nano-start` is split into the engine with keyword `gh` and "nano-start".
+     * @param {string} query - The search query.
+     * @returns {{engine: Object, query: string}|null} The engine and remaining query, or null if no keyword matches.
+     */
+    parseKeywordQuery(query) {
+        const match = query.match(/^(\S+)\s+(\S.*)$/);
+        const engine = match && this.findByKeyword(match[1]);
+        return engine ? { engine, query: match[2] } : null;
+    }
+
+    /**
+     * Get the search result of the engine whose keyword prefixes the query.
+     * @param {string} query - The search query.
+     * @returns {{name: string, url: string, icon: string}|null} The search result object, or null if no keyword matches.
+     */
+    getKeywordSearchResult(query) {
+        const parsed = this.parseKeywordQuery(query);
+        return parsed
+            ? this.createSearchResult(parsed.engine, parsed.query)
+            : null;
+    }
+
+    /**
+     * Get the engine to fetch suggestions from and the query to complete.
+     * This is the keyword engine if the query starts with a keyword, otherwise the default engine.
+     * @param {string} query - The search query.
+     * @returns {{engine: Object, query: string}|null} The engine and query, or null if the engine has no suggestion URL.
+     */
+    getSuggestionSource(query) {
+        const source = this.parseKeywordQuery(query) ?? {
+            engine: this.getDefaultEngine(),
+            query,
+        };
+        return source.engine?.suggestUrl ? source : null;
+    }
+
+    /**
+     * Create a search result object for a suggestion.
+     * @param {Object} engine - The engine data.
+     * @param {string} suggestion - The suggested query.
+     * @returns {{name: string, url: string, icon: string}} The search result object.
+     */
+    createSuggestionResult(engine, suggestion) {
+        return {
+            ...this.createSearchResult(engine, suggestion),
+            name: suggestion,
+        };
+    }
+
+    /**
+     * Get all engines as search result objects, with the default engine first.
+     * If the query starts with an engine keyword, only that engine is returned.
+     * @param {string} query - The search query.
+     * @returns {Array<{name: string, url: string, icon: string}>} Search result objects.
+     */
+    getSearchResults(query) {
+        const keywordResult = this.getKeywordSearchResult(query);
+        if (keywordResult) {
+            return [keywordResult];
+        }
+        const defaultEngine = this.getDefaultEngine();
+        const engines = this.items.filter((engine) => engine !== defaultEngine);
+        if (defaultEngine) {
+            engines.unshift(defaultEngine);
+        }
+        return engines.map((engine) => this.createSearchResult(engine, query));
     }
 }
 
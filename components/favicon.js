@@ -0,0 +1,188 @@
+"use strict";
+
+/**
+ * Finds the icon of a website. Icons readable through CORS are returned as
+ * data URLs so they can be stored with the site; other icons are returned as
+ * URLs, which the service worker caches once the browser has loaded them.
+ */
+class FaviconResolver {
+    /**
+     * Create a new FaviconResolver instance.
+     * @param {Object} [options] - Resolver options.
+     * @param {typeof fetch} [options.fetch] - The fetch implementation to use.
+     * @param {number} [options.timeout] - Request timeout in milliseconds.
+     * @param {number} [options.maxSize] - Maximum size in bytes of icons inlined as data URLs.
+     * @param {DOMParser} [options.parser] - DOMParser instance for parsing pages.
+     * @param {(url: string) => Promise<boolean>} [options.loadImage] - Check whether an image loads.
+     */
+    constructor({
+        fetch = globalThis.fetch.bind(globalThis),
+        timeout = 5000,
+        maxSize = 64 * 1024,
+        parser = new DOMParser(),
+        loadImage = FaviconResolver.loadImage,
+    } = {}) {
+        this.fetch = fetch;
+        this.timeout = timeout;
+        this.maxSize = maxSize;
+        this.parser = parser;
+        this.loadImage = loadImage;
+    }
+
+    /**
+     * Build the icon URL from an icon service template.
+     * Supported placeholders are `{domain}` (the host name) and `{url}` (the encoded page URL).
+     * @param {string} template - The URL template.
+     * @param {string} pageUrl - The page URL.
+     * @returns {string|null} The icon URL, or null if the template is unusable.
+     */
+    static buildServiceUrl(template, pageUrl) {
+        if (!template || !/\{(domain|url)\}/.test(template)) return null;
+        const url = template
+            .replaceAll("{domain}", new URL(pageUrl).hostname)
+            .replaceAll("{url}", encodeURIComponent(pageUrl));
+        return URL.canParse(url) ? url : null;
+    }
+
+    /**
+     * Extract icon URLs declared by a page, preferring `rel="icon"` over touch icons.
+     * @param {string} html - The page content.
+     * @param {string} baseUrl - The page URL, to resolve relative links.
+     * @param {DOMParser} [parser] - DOMParser instance to use.
+     * @returns {string[]} The icon URLs.
+     */
+    static parseIconLinks(html, baseUrl, parser = new DOMParser()) {
+        const doc = parser.parseFromString(html, "text/html");
+        const links = [
+            ...doc.querySelectorAll('link[rel~="icon" i][href]'),
+            ...doc.querySelectorAll('link[rel~="apple-touch-icon" i][href]'),
+        ];
+        return links
+            .map((link) => {
+                try {
+                    return new URL(link.getAttribute("href"), baseUrl).href;
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Check whether an image loads in the browser (which needs no CORS).
+     * @param {string} url - The image URL.
+     * @returns {Promise<boolean>} Whether the image loaded.
+     */
+    static loadImage(url) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => resolve(img.naturalWidth > 0);
+            img.onerror = () => resolve(false);
+            img.src = url;
+        });
+    }
+
+    /**
+     * List the icon URLs to try for a page, in order of preference.
+     * @param {string} pageUrl - The page URL.
+     * @param {string} [serviceTemplate] - The icon service template, if any.
+     * @returns {Promise<string[]>} The candidate icon URLs.
+     */
+    async getCandidates(pageUrl, serviceTemplate) {
+        const candidates = [];
+        try {
+            candidates.push(...(await this.fetchIconLinks(pageUrl)));
+        } catch (error) {
+            // Most pages can't be read cross-origin, which is expected
+            console.debug("Could not read icon links of", pageUrl, error);
+        }
+        candidates.push(new URL("/favicon.ico", pageUrl).href);
+
+        const serviceUrl = FaviconResolver.buildServiceUrl(
+            serviceTemplate,
+            pageUrl,
+        );
+        if (serviceUrl) candidates.push(serviceUrl);
+        return [...new Set(candidates)];
+    }
+
+    /**
+     * Fetch a page and extract the icon URLs it declares.
+     * @param {string} pageUrl - The page URL.
+     * @returns {Promise<string[]>} The icon URLs.
+     * @throws {Error} If the page can't be fetched or read.
+     */
+    async fetchIconLinks(pageUrl) {
+        const response = await this.fetch(pageUrl, {
+            signal: AbortSignal.timeout(this.timeout),
+        });
+        if (!response.ok) {
+            throw new Error(
+                `Failed to fetch page: ${response.status} ${response.statusText}`,
+            );
+        }
+        return FaviconResolver.parseIconLinks(
+            await response.text(),
+            response.url || pageUrl,
+            this.parser,
+        );
+    }
+
+    /**
+     * Fetch an icon and encode it as a data URL.
+     * @param {string} iconUrl - The icon URL.
+     * @returns {Promise<string>} The data URL.
+     * @throws {Error} If the icon can't be read, is not an image or is too large.
+     */
+    async fetchAsDataUrl(iconUrl) {
+        const response = await this.fetch(iconUrl, {
+            signal: AbortSignal.timeout(this.timeout),
+        });
+        if (!response.ok) {
+            throw new Error(
+                `Failed to fetch icon: ${response.status} ${response.statusText}`,
+            );
+        }
+
+        const blob = await response.blob();
+        if (!blob.type.startsWith("image/")) {
+            throw new Error(`Not an image: ${blob.type}`);
+        }
+        if (blob.size === 0 || blob.size > this.maxSize) {
+            throw new Error(`Unsuitable icon size: ${blob.size} bytes`);
+        }
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    /**
+     * Find the icon of a page.
+     * @param {string} pageUrl - The page URL.
+     * @param {string} [serviceTemplate] - The icon service template, tried last.
+     * @returns {Promise<string|null>} The icon as data URL or URL, or null if none was found.
+     */
+    async findIcon(pageUrl, serviceTemplate) {
+        if (!/^https?:$/.test(new URL(pageUrl).protocol)) return null;
+
+        for (const iconUrl of await this.getCandidates(
+            pageUrl,
+            serviceTemplate,
+        )) {
+            try {
+                return await this.fetchAsDataUrl(iconUrl);
+            } catch {
+                // Not readable, but the browser may still display it
+            }
+            if (await this.loadImage(iconUrl)) {
+                return iconUrl;
+            }
+        }
+        return null;
+    }
+}
+
+export { FaviconResolver };
@@ -0,0 +1,220 @@
+"use strict";
+import { readVersioned, writeVersioned } from "./schema.js";
+
+const HISTORY_STORAGE_KEY = "nano-start-search-history";
+
+/** Number of past queries shown among the results of a search. */
+const MAX_HISTORY_RESULTS = 3;
+
+/**
+ * Convert a wildcard pattern, where `*` stands for any text, to a regular expression.
+ * @param {string} pattern - The pattern, e.g. "*password*".
+ * @returns {RegExp} A case-insensitive expression matching whole queries.
+ */
+function wildcardToRegExp(pattern) {
+    const source = pattern
+        .split("*")
+        .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+        .join(".*");
+    return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * Split a list of wildcard patterns separated by commas, e.g. "*password*, bank*".
+ * @param {string} value - The list.
+ * @returns {RegExp[]} The patterns as regular expressions.
+ */
+function parsePatternList(value) {
+    return value
+        .split(",")
+        .map((pattern) => pattern.trim())
+        .filter(Boolean)
+        .map(wildcardToRegExp);
+}
+
+/** Keeps the queries typed in the search bar, most recent first. */
+class SearchHistory extends EventTarget {
+    /**
+     * Create a new SearchHistory instance.
+     * The history is empty until load() completes.
+     * @param {import('./storage.js').StorageAdapter} storage - The storage backend.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences, with the history size and exclusions.
+     */
+    constructor(storage, preferences) {
+        super();
+        this.storage = storage;
+        this.preferences = preferences;
+        /**
+         * Past queries, most recent first.
+         * @type {string[]}
+         */
+        this.queries = [];
+
+        // Keep in sync with changes made in other tabs
+        this.storage.addEventListener("change", (e) =>
+            this.handleStorageChange(e),
+        );
+        // Apply a smaller size or new exclusions to the kept queries
+        this.preferences.addEventListener("preferencesUpdated", (e) => {
+            if (
+                e.detail.key === "searchHistorySize" ||
+                e.detail.key === "searchHistoryExclude"
+            ) {
+                this.update(this.queries);
+            }
+        });
+    }
+
+    /**
+     * Reload the history changed by another tab and dispatch update event.
+     * @param {CustomEvent} e - The change event of the storage backend.
+     */
+    async handleStorageChange(e) {
+        const { key } = e.detail;
+        if (key !== null && key !== HISTORY_STORAGE_KEY) return;
+
+        await this.load();
+        this.dispatchEvent(new CustomEvent("historyUpdated"));
+    }
+
+    /** Load the history from storage. */
+    async load() {
+        try {
+            const stored = await this.storage.get(HISTORY_STORAGE_KEY);
+            const { value } = readVersioned(stored, "history");
+            this.queries = Array.isArray(value)
+                ? value.filter((query) => typeof query === "string")
+                : [];
+        } catch (error) {
+            console.error("Error loading search history from storage:", error);
+        }
+    }
+
+    /** Save the history to storage in the background. */
+    save() {
+        this.storage
+            .set(HISTORY_STORAGE_KEY, writeVersioned("history", this.queries))
+            .catch((error) => {
+                console.error("Error saving search history to storage:", error);
+            });
+    }
+
+    /**
+     * Check whether a query is kept: the history is enabled and no pattern excludes it.
+     * @param {string} query - The query.
+     * @returns {boolean} Whether the query may be kept.
+     */
+    accepts(query) {
+        return (
+            this.preferences.get("searchHistorySize") > 0 &&
+            !parsePatternList(
+                this.preferences.get("searchHistoryExclude"),
+            ).some((pattern) => pattern.test(query))
+        );
+    }
+
+    /**
+     * Replace the queries, dropping excluded and repeated ones and those beyond
+     * the history size. Saves and dispatches update event if anything changed.
+     * @param {string[]} queries - The queries, most recent first.
+     */
+    update(queries) {
+        const seen = new Set();
+        const kept = queries
+            .filter((query) => {
+                const key = query.toLowerCase();
+                if (seen.has(key) || !this.accepts(query)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, this.preferences.get("searchHistorySize"));
+        if (JSON.stringify(kept) === JSON.stringify(this.queries)) return;
+
+        this.queries = kept;
+        this.save();
+        this.dispatchEvent(new CustomEvent("historyUpdated"));
+    }
+
+    /**
+     * Remember a query as the most recent one.
+     * @param {string} query - The query.
+     */
+    add(query) {
+        query = query.trim();
+        if (!query) return;
+        this.update([query, ...this.queries]);
+    }
+
+    /**
+     * Find past queries containing the typed text, other than the text itself.
+     * @param {string} text - The typed text.
+     * @returns {string[]} The matching queries, most recent first.
+     */
+    search(text) {
+        const needle = text.trim().toLowerCase();
+        if (!needle) return [];
+        return this.queries
+            .filter((query) => {
+                const key = query.toLowerCase();
+                return key !== needle && key.includes(needle);
+            })
+            .slice(0, MAX_HISTORY_RESULTS);
+    }
+
+    /** Forget all queries, save and dispatch update event. */
+    clear() {
+        this.queries = [];
+        this.save();
+        this.dispatchEvent(new CustomEvent("historyUpdated"));
+    }
+
+    /**
+     * Export the history for a backup.
+     * @returns {string[]} The queries, most recent first.
+     */
+    exportToJSON() {
+        return [...this.queries];
+    }
+
+    /**
+     * Compare queries from a backup with the current history.
+     * Queries not in the history are new; non-text entries are rejected.
+     * @param {Array} queries - The queries to import, most recent first.
+     * @returns {import('./card.js').ImportDiff} The comparison result.
+     */
+    diffImport(queries) {
+        const diff = { entries: [], rejected: [] };
+        const current = new Set(this.queries.map((q) => q.toLowerCase()));
+        queries.forEach((query, index) => {
+            if (typeof query !== "string" || !query.trim()) {
+                diff.rejected.push({
+                    name: `Entry ${index + 1}`,
+                    errors: ["Query must be text"],
+                });
+                return;
+            }
+            diff.entries.push({
+                status: current.has(query.toLowerCase()) ? "identical" : "new",
+                data: { name: query },
+            });
+        });
+        return diff;
+    }
+
+    /**
+     * Apply queries from a backup, compared by diffImport(). Imported queries
+     * come after current ones, as these are more recent.
+     * @param {import('./card.js').ImportDiff} diff - The comparison result.
+     * @param {Object} [options] - Import options.
+     * @param {boolean} [options.replace] - Whether to forget queries missing from the backup.
+     * @returns {number} The number of queries added.
+     */
+    applyImport(diff, { replace = false } = {}) {
+        const imported = diff.entries.map((entry) => entry.data.name);
+        const previous = new Set(this.queries);
+        this.update(replace ? imported : [...this.queries, ...imported]);
+        return this.queries.filter((query) => !previous.has(query)).length;
+    }
+}
+
+export { SearchHistory };
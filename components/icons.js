@@ -0,0 +1,310 @@
+"use strict";
+
+/** Size in pixels of uploaded images after downscaling. */
+const ICON_SIZE = 64;
+
+/** Emoji offered by the picker, with search keywords. */
+const EMOJI = [
+    ["🌐", "globe web internet world default"],
+    ["🔍", "search magnifier find"],
+    ["🏠", "home house"],
+    ["⭐", "star favorite"],
+    ["❤️", "heart love"],
+    ["🔥", "fire hot trending"],
+    ["📧", "email mail"],
+    ["📨", "inbox mail message"],
+    ["💬", "chat message comment"],
+    ["📞", "phone call"],
+    ["📅", "calendar date schedule"],
+    ["⏰", "clock alarm time"],
+    ["📝", "note memo write"],
+    ["📄", "document page file"],
+    ["📁", "folder directory files"],
+    ["📚", "books library read"],
+    ["📖", "book read"],
+    ["📰", "news newspaper"],
+    ["📷", "camera photo"],
+    ["🖼️", "picture image gallery"],
+    ["🎬", "movie film video"],
+    ["📺", "tv television video"],
+    ["▶️", "play video"],
+    ["🎵", "music note song"],
+    ["🎧", "headphones music podcast"],
+    ["🎮", "game gaming controller"],
+    ["🎨", "art paint design"],
+    ["✏️", "pencil edit draw"],
+    ["💻", "laptop computer code"],
+    ["🖥️", "desktop computer monitor"],
+    ["⌨️", "keyboard typing"],
+    ["📱", "phone mobile"],
+    ["🧑‍💻", "developer coder programmer"],
+    ["🐙", "octopus github git"],
+    ["🐛", "bug issue"],
+    ["🔧", "wrench tool settings"],
+    ["⚙️", "gear settings config"],
+    ["🛠️", "tools build"],
+    ["🧪", "test lab experiment"],
+    ["📦", "package box npm delivery"],
+    ["🚀", "rocket launch deploy"],
+    ["☁️", "cloud"],
+    ["🗄️", "server cabinet database"],
+    ["🔒", "lock secure private"],
+    ["🔑", "key password"],
+    ["🛡️", "shield security"],
+    ["📊", "chart bar stats analytics"],
+    ["📈", "chart up growth stocks"],
+    ["💰", "money bag finance"],
+    ["💳", "credit card payment bank"],
+    ["🏦", "bank finance"],
+    ["🛒", "shopping cart store"],
+    ["🛍️", "shopping bags"],
+    ["🎁", "gift present"],
+    ["🍔", "food burger"],
+    ["🍕", "pizza food"],
+    ["☕", "coffee tea drink"],
+    ["🍳", "cooking recipe food"],
+    ["✈️", "airplane travel flight"],
+    ["🚗", "car drive"],
+    ["🚆", "train travel transit"],
+    ["🗺️", "map world travel"],
+    ["📍", "pin location map"],
+    ["🌤️", "weather sun cloud"],
+    ["🌙", "moon night"],
+    ["☀️", "sun weather"],
+    ["🌱", "plant seedling nature"],
+    ["🐶", "dog pet animal"],
+    ["🐱", "cat pet animal"],
+    ["⚽", "soccer football sport"],
+    ["🏀", "basketball sport"],
+    ["🏃", "run running fitness"],
+    ["💪", "muscle fitness gym"],
+    ["🩺", "health doctor medical"],
+    ["🎓", "graduation school education"],
+    ["🏫", "school education"],
+    ["💼", "briefcase work job"],
+    ["🏢", "office building work"],
+    ["🤖", "robot ai bot"],
+    ["🧠", "brain think ai"],
+    ["💡", "idea light bulb"],
+    ["🔔", "bell notification"],
+    ["📌", "pushpin pin"],
+    ["🔗", "link chain url"],
+    ["✅", "check done todo"],
+    ["❓", "question help"],
+    ["🌍", "earth globe europe africa"],
+    ["🌎", "earth globe americas"],
+    ["🌏", "earth globe asia"],
+];
+
+/**
+ * Create a letter avatar icon as an SVG data URL.
+ * @param {string} text - The text to take the letter from (e.g. the site name).
+ * @param {string} color - The background color, as `#rrggbb`.
+ * @returns {string} The data URL.
+ */
+function createLetterAvatar(text, color) {
+    const letter = Array.from(text.trim())[0]?.toUpperCase() || "?";
+    // Character reference, so any letter is valid inside the SVG
+    const letterRef = `&#${letter.codePointAt(0)};`;
+    const svg =
+        `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64">` +
+        `<rect width="64" height="64" rx="12" fill="${color}"/>` +
+        `<text x="32" y="32" dy=".35em" text-anchor="middle" font-family="system-ui, sans-serif" font-size="36" fill="${getContrastColor(color)}">${letterRef}</text>` +
+        `</svg>`;
+    return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Get a text color readable on given background color.
+ * @param {string} color - The background color, as `#rrggbb`.
+ * @returns {string} Black or white.
+ */
+function getContrastColor(color) {
+    const [r, g, b] = [1, 3, 5].map((i) => parseInt(color.slice(i, i + 2), 16));
+    // Perceived brightness (ITU-R BT.601)
+    return r * 0.299 + g * 0.587 + b * 0.114 > 150 ? "#000000" : "#ffffff";
+}
+
+/**
+ * Downscale an image file and encode it as a data URL.
+ * @param {File} file - The image file.
+ * @param {Object} [options] - Encoding options.
+ * @param {number} [options.maxSize] - Maximum width and height in pixels, the icon size by default.
+ * @param {string} [options.type] - The image format, PNG by default.
+ * @param {number} [options.quality] - The quality of lossy formats, from 0 to 1.
+ * @returns {Promise<string>} The data URL.
+ * @throws {Error} If the file can't be loaded as an image.
+ */
+async function downscaleImage(
+    file,
+    { maxSize = ICON_SIZE, type = "image/png", quality } = {},
+) {
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+
+        const scale = Math.min(
+            1,
+            maxSize / Math.max(img.naturalWidth, img.naturalHeight),
+        );
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+        canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+        canvas
+            .getContext("2d")
+            .drawImage(img, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL(type, quality);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/** Manages the dialog for choosing the icon of a card. */
+class IconPicker {
+    /**
+     * Create a new IconPicker instance.
+     * @param {HTMLDialogElement} dialog - The picker dialog.
+     */
+    constructor(dialog) {
+        this.dialog = dialog;
+        this.preview = dialog.querySelector(".icon-preview");
+        this.textInput = dialog.querySelector(".icon-text-input");
+        this.emojiSearch = dialog.querySelector(".emoji-search");
+        this.emojiGrid = dialog.querySelector(".emoji-grid");
+        this.uploadInput = dialog.querySelector(".icon-upload-input");
+        this.letterInput = dialog.querySelector(".icon-letter-input");
+        this.colorInput = dialog.querySelector(".icon-color-input");
+        this.resetButton = dialog.querySelector(".icon-reset-btn");
+        this.saveButton = dialog.querySelector(".icon-save-btn");
+        /**
+         * The icon currently chosen in the dialog.
+         * @type {string}
+         */
+        this.icon = "";
+
+        this.textInput.addEventListener("input", () =>
+            this.setIcon(this.textInput.value.trim(), false),
+        );
+        this.emojiSearch.addEventListener("input", () => this.renderEmoji());
+        this.uploadInput.addEventListener("change", () => this.handleUpload());
+        dialog
+            .querySelector(".icon-letter-btn")
+            .addEventListener("click", () => this.applyLetterAvatar());
+        this.colorInput.addEventListener("input", () =>
+            this.applyLetterAvatar(),
+        );
+        this.saveButton.addEventListener("click", () =>
+            this.dialog.close("save"),
+        );
+        this.resetButton.addEventListener("click", () =>
+            this.dialog.close("reset"),
+        );
+        dialog
+            .querySelectorAll(".icon-cancel-btn")
+            .forEach((button) =>
+                button.addEventListener("click", () => this.dialog.close()),
+            );
+    }
+
+    /**
+     * Show the picker for the icon of an item.
+     * @param {string} icon - The current icon.
+     * @param {Object} [options] - Picker options.
+     * @param {string} [options.name] - The item name, for letter avatars.
+     * @param {boolean} [options.canReset] - Whether to offer resetting to the automatic icon.
+     * @returns {Promise<{icon: string}|{reset: true}|null>} The chosen icon, a reset request, or null if cancelled.
+     */
+    pick(icon, { name = "", canReset = false } = {}) {
+        this.setIcon(icon);
+        this.emojiSearch.value = "";
+        this.renderEmoji();
+        this.uploadInput.value = "";
+        this.letterInput.value = Array.from(name.trim())[0] ?? "";
+        this.resetButton.hidden = !canReset;
+
+        this.dialog.returnValue = "";
+        this.dialog.showModal();
+        return new Promise((resolve) => {
+            this.dialog.addEventListener(
+                "close",
+                () => {
+                    switch (this.dialog.returnValue) {
+                        case "save":
+                            resolve({ icon: this.icon });
+                            break;
+                        case "reset":
+                            resolve({ reset: true });
+                            break;
+                        default:
+                            resolve(null);
+                    }
+                },
+                { once: true },
+            );
+        });
+    }
+
+    /**
+     * Choose an icon and update the preview.
+     * @param {string} icon - The icon (text, emoji or URL).
+     * @param {boolean} [updateInput] - Whether to show the icon in the text input.
+     */
+    setIcon(icon, updateInput = true) {
+        this.icon = icon;
+        if (updateInput) {
+            // Data URLs are too long to be edited by hand
+            this.textInput.value = icon.startsWith("data:") ? "" : icon;
+        }
+
+        this.preview.innerHTML = "";
+        if (URL.canParse(icon)) {
+            const img = document.createElement("img");
+            img.src = icon;
+            img.alt = "Icon preview";
+            this.preview.appendChild(img);
+        } else {
+            this.preview.textContent = icon;
+        }
+        this.saveButton.disabled = !icon;
+    }
+
+    /** Render the emoji matching the search query. */
+    renderEmoji() {
+        const query = this.emojiSearch.value.trim().toLowerCase();
+        this.emojiGrid.innerHTML = "";
+        EMOJI.filter(([, keywords]) => keywords.includes(query)).forEach(
+            ([emoji, keywords]) => {
+                const button = document.createElement("button");
+                button.type = "button";
+                button.className = "emoji-btn";
+                button.textContent = emoji;
+                button.title = keywords;
+                button.addEventListener("click", () => this.setIcon(emoji));
+                this.emojiGrid.appendChild(button);
+            },
+        );
+    }
+
+    /** Use the uploaded image, downscaled, as icon. */
+    async handleUpload() {
+        const file = this.uploadInput.files[0];
+        if (!file) return;
+        try {
+            this.setIcon(await downscaleImage(file));
+        } catch (error) {
+            console.error("Error reading uploaded image:", error);
+            alert("Could not read the image. Please choose another file.");
+        }
+    }
+
+    /** Use a letter avatar with the chosen letter and color as icon. */
+    applyLetterAvatar() {
+        this.setIcon(
+            createLetterAvatar(this.letterInput.value, this.colorInput.value),
+        );
+    }
+}
+
+export { IconPicker, createLetterAvatar, downscaleImage };
@@ -0,0 +1,229 @@
+"use strict";
+
+/**
+ * @typedef {Object} ImportSection
+ * @property {string} title - The section title, e.g. "Sites".
+ * @property {import('./card.js').ImportDiff} diff - The comparison result of the section.
+ */
+
+/** Maximum length of field values shown in the preview. */
+const MAX_VALUE_LENGTH = 60;
+
+/** Manages the dialog previewing a backup import against current data. */
+class ImportPreview {
+    /**
+     * Create a new ImportPreview instance.
+     * @param {HTMLDialogElement} dialog - The preview dialog.
+     */
+    constructor(dialog) {
+        this.dialog = dialog;
+        this.sectionsContainer = dialog.querySelector(".import-sections");
+        this.replaceInput = dialog.querySelector(
+            'input[name="import-mode"][value="replace"]',
+        );
+        /**
+         * Changed entries of the overwrite checkboxes in the dialog.
+         * @type {Map<HTMLInputElement, import('./card.js').ImportEntry>}
+         */
+        this.changedEntries = new Map();
+
+        dialog
+            .querySelector(".import-confirm-btn")
+            .addEventListener("click", () => this.dialog.close("import"));
+        dialog
+            .querySelectorAll(".import-cancel-btn")
+            .forEach((button) =>
+                button.addEventListener("click", () => this.dialog.close()),
+            );
+        dialog
+            .querySelectorAll('input[name="import-mode"]')
+            .forEach((input) =>
+                input.addEventListener("change", () => this.updateMode()),
+            );
+    }
+
+    /**
+     * Show what the import would change and let the user choose how to apply it.
+     * @param {ImportSection[]} sections - The sections to import.
+     * @returns {Promise<{replace: boolean, overwrite: Set<import('./card.js').ImportEntry>}|null>} The choice, or null if cancelled.
+     */
+    review(sections) {
+        this.changedEntries.clear();
+        this.sectionsContainer.innerHTML = "";
+        sections.forEach((section) => {
+            this.sectionsContainer.appendChild(this.createSection(section));
+        });
+        this.dialog.querySelector(
+            'input[name="import-mode"][value="merge"]',
+        ).checked = true;
+        this.updateMode();
+
+        this.dialog.returnValue = "";
+        this.dialog.showModal();
+        return new Promise((resolve) => {
+            this.dialog.addEventListener(
+                "close",
+                () => {
+                    if (this.dialog.returnValue !== "import") {
+                        resolve(null);
+                        return;
+                    }
+                    const overwrite = new Set();
+                    this.changedEntries.forEach((entry, checkbox) => {
+                        if (checkbox.checked) overwrite.add(entry);
+                    });
+                    resolve({ replace: this.replaceInput.checked, overwrite });
+                },
+                { once: true },
+            );
+        });
+    }
+
+    /** Disable per-entry choices when replacing everything. */
+    updateMode() {
+        const replace = this.replaceInput.checked;
+        this.sectionsContainer
+            .querySelectorAll("input[type=checkbox]")
+            .forEach((checkbox) => {
+                checkbox.disabled = replace;
+            });
+    }
+
+    /**
+     * Create the preview of a section.
+     * @param {ImportSection} section - The section to preview.
+     * @returns {HTMLElement} The section element.
+     */
+    createSection({ title, diff }) {
+        const element = document.createElement("section");
+        element.className = "import-section";
+
+        const heading = document.createElement("h3");
+        heading.textContent = title;
+        element.appendChild(heading);
+
+        const count = (status) =>
+            diff.entries.filter((entry) => entry.status === status).length;
+        const summary = document.createElement("p");
+        summary.className = "settings-help";
+        summary.textContent = `${count("new")} new, ${count("changed")} changed, ${count("identical")} identical`;
+        if (diff.rejected.length > 0) {
+            summary.textContent += `, ${diff.rejected.length} rejected`;
+        }
+        element.appendChild(summary);
+
+        if (diff.rejected.length > 0) {
+            element.appendChild(this.createRejectedList(diff.rejected));
+        }
+
+        const list = document.createElement("ul");
+        list.className = "import-entries";
+        diff.entries.forEach((entry) => {
+            if (entry.status !== "identical") {
+                list.appendChild(this.createEntry(entry));
+            }
+        });
+
+        if (count("changed") > 1) {
+            // Toggle all overwrite checkboxes of the section at once
+            const label = document.createElement("label");
+            label.className = "import-overwrite-all";
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.addEventListener("change", () => {
+                list.querySelectorAll("input[type=checkbox]").forEach(
+                    (input) => {
+                        input.checked = checkbox.checked;
+                    },
+                );
+            });
+            label.append(checkbox, "Overwrite all changed entries");
+            element.appendChild(label);
+        }
+
+        element.appendChild(list);
+        return element;
+    }
+
+    /**
+     * Create the preview of a new or changed entry.
+     * @param {import('./card.js').ImportEntry} entry - The entry.
+     * @returns {HTMLLIElement} The entry element.
+     */
+    createEntry(entry) {
+        const item = document.createElement("li");
+        item.className = `import-entry ${entry.status}`;
+
+        const label = document.createElement("label");
+        label.title = entry.data.url ?? "";
+        const status = document.createElement("span");
+        status.className = "import-status";
+        if (entry.status === "changed") {
+            const checkbox = document.createElement("input");
+            checkbox.type = "checkbox";
+            checkbox.title = "Overwrite current entry";
+            this.changedEntries.set(checkbox, entry);
+            label.appendChild(checkbox);
+            status.textContent = "Changed";
+        } else {
+            status.textContent = "New";
+        }
+        label.append(status, entry.data.name);
+        item.appendChild(label);
+
+        if (entry.status === "changed") {
+            const changes = document.createElement("ul");
+            changes.className = "import-changes";
+            entry.changes.forEach(({ field, from, to }) => {
+                const change = document.createElement("li");
+                change.textContent = `${field}: ${this.formatValue(from)} → ${this.formatValue(to)}`;
+                changes.appendChild(change);
+            });
+            item.appendChild(changes);
+        }
+
+        return item;
+    }
+
+    /**
+     * Create the report of rejected entries, which will not be imported.
+     * @param {import('./card.js').RejectedEntry[]} rejected - The rejected entries.
+     * @returns {HTMLDetailsElement} The report element.
+     */
+    createRejectedList(rejected) {
+        const details = document.createElement("details");
+        details.className = "import-rejected";
+
+        const summary = document.createElement("summary");
+        summary.textContent = "Rejected entries (will not be imported)";
+        details.appendChild(summary);
+        details.open = true;
+
+        const list = document.createElement("ul");
+        rejected.forEach(({ name, errors }) => {
+            const item = document.createElement("li");
+            item.textContent = `${this.formatValue(name)}: ${errors.join("; ")}`;
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+
+        return details;
+    }
+
+    /**
+     * Format a field value for display, shortening long ones (e.g. data URLs).
+     * @param {*} value - The field value.
+     * @returns {string} The formatted value.
+     */
+    formatValue(value) {
+        let text = value === "" ? "(none)" : String(value);
+        if (typeof value === "object" && value !== null) {
+            text = JSON.stringify(value);
+        }
+        return text.length > MAX_VALUE_LENGTH
+            ? `${text.slice(0, MAX_VALUE_LENGTH)}…`
+            : text;
+    }
+}
+
+export { ImportPreview };
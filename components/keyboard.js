@@ -0,0 +1,503 @@
+"use strict";
+import { isPlainObject } from "./schema.js";
+
+/** Remappable actions of the site grid, with their descriptions. */
+const SHORTCUT_ACTIONS = {
+    edit: "Edit the focused site",
+    delete: "Delete the focused site",
+    moveUp: "Move the focused site before the previous one",
+    moveDown: "Move the focused site after the next one",
+    help: "Show keyboard shortcuts",
+};
+
+/** Default keys of the remappable actions, as returned by getShortcut(). */
+const DEFAULT_SHORTCUTS = {
+    edit: "e",
+    delete: "Delete",
+    moveUp: "Alt+ArrowUp",
+    moveDown: "Alt+ArrowDown",
+    help: "?",
+};
+
+/** Shortcuts that can't be remapped, with the keys they use. */
+const FIXED_SHORTCUTS = [
+    {
+        label: "←  ↑  →  ↓",
+        description: "Move between sites",
+        keys: ["ArrowLeft", "ArrowUp", "ArrowRight", "ArrowDown"],
+    },
+    {
+        label: "Home / End",
+        description: "Go to the first or last site",
+        keys: ["Home", "End"],
+    },
+    {
+        label: "1 – 9",
+        description: "Open the first nine sites",
+        keys: ["1", "2", "3", "4", "5", "6", "7", "8", "9"],
+    },
+    { label: "Enter", description: "Open the focused site", keys: ["Enter"] },
+    { label: "Tab", description: "Leave the sites", keys: ["Tab"] },
+    { label: "Escape", description: "Close dialogs", keys: ["Escape"] },
+    { label: "Ctrl+Z", description: "Undo", keys: ["Ctrl+z"] },
+    { label: "Ctrl+Shift+Z", description: "Redo", keys: ["Ctrl+Z", "Ctrl+y"] },
+    { label: "Ctrl+,", description: "Open the settings", keys: ["Ctrl+,"] },
+];
+
+/** Keys only pressed together with others. */
+const MODIFIER_KEYS = ["Control", "Alt", "Shift", "Meta", "AltGraph"];
+
+/** Symbols shown for keys in the shortcut list. */
+const KEY_SYMBOLS = {
+    ArrowLeft: "←",
+    ArrowUp: "↑",
+    ArrowRight: "→",
+    ArrowDown: "↓",
+    " ": "Space",
+};
+
+/**
+ * Get the shortcut of a key press, e.g. "e", "?" or "Alt+ArrowUp".
+ * Shift is only named for keys without text, as it already changes the text
+ * of others ("E", "?").
+ * @param {KeyboardEvent} e - The keydown event.
+ * @returns {string|null} The shortcut, or null for a modifier key alone.
+ */
+function getShortcut(e) {
+    if (MODIFIER_KEYS.includes(e.key)) return null;
+    const modifiers = [];
+    if (e.ctrlKey) modifiers.push("Ctrl");
+    if (e.altKey) modifiers.push("Alt");
+    if (e.metaKey) modifiers.push("Meta");
+    if (e.shiftKey && e.key.length > 1) modifiers.push("Shift");
+    return [...modifiers, e.key].join("+");
+}
+
+/**
+ * Format a shortcut for display, e.g. "Alt+↑".
+ * @param {string} shortcut - The shortcut, as returned by getShortcut().
+ * @returns {string} The shortcut label.
+ */
+function formatShortcut(shortcut) {
+    // Split on "+" between keys, keeping a "+" key
+    return shortcut
+        .split(/\+(?=.)/)
+        .map((key) => KEY_SYMBOLS[key] ?? key)
+        .join("+");
+}
+
+/**
+ * Check whether keys pressed in an element are typed text.
+ * Read-only fields, such as site cards not being edited, are not.
+ * @param {Element} element - The focused element.
+ * @returns {boolean} Whether the element takes text.
+ */
+function isTextField(element) {
+    return (
+        element.isContentEditable ||
+        (["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName) &&
+            !element.readOnly)
+    );
+}
+
+/**
+ * Check remapped shortcuts.
+ * @param {Object<string, string>} shortcuts - Keys of the remappable actions.
+ * @returns {string|null} The error message, or null if the shortcuts are valid.
+ */
+function validateShortcuts(shortcuts) {
+    if (!isPlainObject(shortcuts)) {
+        return "Shortcuts must be an object";
+    }
+    const used = new Map();
+    for (const [action, shortcut] of Object.entries(shortcuts)) {
+        if (!Object.hasOwn(SHORTCUT_ACTIONS, action)) {
+            return `Unknown shortcut action: ${action}`;
+        }
+        if (typeof shortcut !== "string" || !shortcut) {
+            return `Shortcut of ${action} must be a key`;
+        }
+        const fixed = FIXED_SHORTCUTS.find(({ keys }) =>
+            keys.includes(shortcut),
+        );
+        if (fixed) {
+            return `${formatShortcut(shortcut)} is reserved for: ${fixed.description}`;
+        }
+        if (used.has(shortcut)) {
+            return `${formatShortcut(shortcut)} is used twice: ${SHORTCUT_ACTIONS[used.get(shortcut)]} and ${SHORTCUT_ACTIONS[action]}`;
+        }
+        used.set(shortcut, action);
+    }
+    return null;
+}
+
+/**
+ * Get the keys of all remappable actions, with defaults for actions added
+ * after the shortcuts were saved.
+ * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+ * @returns {Object<string, string>} The shortcuts, by action.
+ */
+function getShortcuts(preferences) {
+    return { ...DEFAULT_SHORTCUTS, ...preferences.get("shortcuts") };
+}
+
+/**
+ * Keyboard navigation of the site grid: arrow keys move the focus between
+ * cards (a single Tab stop), and shortcuts edit, delete or move the focused one.
+ */
+class GridNavigator {
+    /**
+     * Create a new GridNavigator instance.
+     * @param {import('./site.js').SiteManager} siteManager - The site manager.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+     * @param {HTMLDialogElement} helpDialog - The dialog listing the shortcuts.
+     */
+    constructor(siteManager, preferences, helpDialog) {
+        this.siteManager = siteManager;
+        this.container = siteManager.container;
+        this.preferences = preferences;
+        this.helpDialog = helpDialog;
+        /** ID of the card reached with Tab, kept when cards are rendered again. */
+        this.activeId = null;
+
+        this.container.addEventListener("focusin", (e) => {
+            const card = e.target.closest(".card-item");
+            if (card && card.dataset.id !== this.activeId) {
+                this.activeId = card.dataset.id;
+                this.updateTabStops();
+            }
+        });
+        this.container.addEventListener("keydown", (e) =>
+            this.handleGridKey(e),
+        );
+        document.addEventListener("keydown", (e) => this.handleGlobalKey(e));
+        helpDialog
+            .querySelector(".shortcuts-close-btn")
+            .addEventListener("click", () => this.helpDialog.close());
+
+        // Cards are added, removed and edited without telling the navigator
+        new MutationObserver(() => this.updateTabStops()).observe(
+            this.container,
+            {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: ["class", "open"],
+            },
+        );
+        this.updateTabStops();
+    }
+
+    /**
+     * Get the cards shown, in page order. Cards of collapsed groups are skipped.
+     * @returns {HTMLElement[]} The cards.
+     */
+    getCards() {
+        return [...this.container.querySelectorAll(".card-item")].filter(
+            (card) => card.checkVisibility(),
+        );
+    }
+
+    /**
+     * Make the active card the only Tab stop of the grid. Buttons and fields
+     * of cards are skipped too, unless the card is being edited.
+     */
+    updateTabStops() {
+        const cards = this.getCards();
+        const active =
+            cards.find((card) => card.dataset.id === this.activeId) ?? cards[0];
+        this.container.querySelectorAll(".card-item").forEach((card) => {
+            card.tabIndex = card === active ? 0 : -1;
+            const editing = card.classList.contains("editing");
+            card.querySelectorAll("button, input").forEach((control) => {
+                if (editing) {
+                    control.removeAttribute("tabindex");
+                } else {
+                    control.tabIndex = -1;
+                }
+            });
+        });
+    }
+
+    /**
+     * Focus a card, making it the Tab stop of the grid.
+     * @param {HTMLElement} card - The card.
+     */
+    focusCard(card) {
+        this.activeId = card.dataset.id;
+        this.updateTabStops();
+        card.focus();
+    }
+
+    /**
+     * Find the closest card in the row above or below a card.
+     * @param {HTMLElement[]} cards - The cards shown.
+     * @param {HTMLElement} card - The card to start from.
+     * @param {number} direction - -1 for the row above, 1 for the row below.
+     * @returns {HTMLElement|null} The card found, if any.
+     */
+    findCardInRow(cards, card, direction) {
+        const from = card.getBoundingClientRect();
+        const x = from.left + from.width / 2;
+        const candidates = cards
+            .map((other) => ({ other, rect: other.getBoundingClientRect() }))
+            .filter(({ rect }) =>
+                direction > 0
+                    ? rect.top >= from.bottom
+                    : rect.bottom <= from.top,
+            );
+        if (candidates.length === 0) return null;
+
+        // Rows are the cards at the nearest distance, up to half a card
+        const distance = ({ rect }) =>
+            direction > 0 ? rect.top - from.bottom : from.top - rect.bottom;
+        const nearest = Math.min(...candidates.map(distance));
+        return candidates
+            .filter(
+                (candidate) => distance(candidate) <= nearest + from.height / 2,
+            )
+            .reduce((best, candidate) => {
+                const center = ({ rect }) =>
+                    Math.abs(rect.left + rect.width / 2 - x);
+                return center(candidate) < center(best) ? candidate : best;
+            }).other;
+    }
+
+    /**
+     * Handle keys pressed on a card.
+     * @param {KeyboardEvent} e - The keydown event.
+     */
+    handleGridKey(e) {
+        const card = e.target.closest(".card-item");
+        if (
+            !card ||
+            card.classList.contains("editing") ||
+            isTextField(e.target)
+        ) {
+            return;
+        }
+
+        const shortcut = getShortcut(e);
+        const cards = this.getCards();
+        const index = cards.indexOf(card);
+        const shortcuts = getShortcuts(this.preferences);
+        const action = Object.keys(shortcuts).find(
+            (action) => shortcuts[action] === shortcut,
+        );
+
+        let target = null;
+        switch (action ?? shortcut) {
+            case "ArrowLeft":
+                target = cards[index - 1];
+                break;
+            case "ArrowRight":
+                target = cards[index + 1];
+                break;
+            case "ArrowUp":
+                target = this.findCardInRow(cards, card, -1);
+                break;
+            case "ArrowDown":
+                target = this.findCardInRow(cards, card, 1);
+                break;
+            case "Home":
+                target = cards[0];
+                break;
+            case "End":
+                target = cards.at(-1);
+                break;
+            case "edit":
+                e.preventDefault();
+                this.siteManager.startEditing(card.dataset.id);
+                return;
+            case "delete": {
+                e.preventDefault();
+                const next = cards[index + 1] ?? cards[index - 1];
+                if (this.siteManager.deleteItem(card.dataset.id) && next) {
+                    this.focusCard(next);
+                }
+                return;
+            }
+            case "moveUp":
+            case "moveDown": {
+                e.preventDefault();
+                const after = action === "moveDown";
+                const neighbour = cards[index + (after ? 1 : -1)];
+                if (!neighbour) return;
+                this.siteManager.moveItem(
+                    card.dataset.id,
+                    neighbour.dataset.id,
+                    after,
+                );
+                // Moving the card out of the page drops its focus
+                this.focusCard(card);
+                return;
+            }
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        if (target) this.focusCard(target);
+    }
+
+    /**
+     * Handle shortcuts working anywhere on the page but in text fields and dialogs.
+     * @param {KeyboardEvent} e - The keydown event.
+     */
+    handleGlobalKey(e) {
+        if (
+            e.defaultPrevented ||
+            isTextField(e.target) ||
+            document.querySelector("dialog[open]")
+        ) {
+            return;
+        }
+
+        const shortcut = getShortcut(e);
+        if (shortcut === getShortcuts(this.preferences).help) {
+            e.preventDefault();
+            this.showHelp();
+        } else if (/^[1-9]$/.test(shortcut)) {
+            const card = this.getCards()[Number(shortcut) - 1];
+            if (card && !card.classList.contains("editing")) {
+                e.preventDefault();
+                card.click();
+            }
+        }
+    }
+
+    /**
+     * Register the keyboard commands of the command palette.
+     * @param {import('./commands.js').CommandRegistry} commands - The command registry.
+     */
+    registerCommands(commands) {
+        commands.register({
+            name: "Show keyboard shortcuts",
+            icon: "⌨️",
+            run: () => this.showHelp(),
+        });
+    }
+
+    /** Show the dialog listing all shortcuts. */
+    showHelp() {
+        const list = this.helpDialog.querySelector(".shortcut-list");
+        list.innerHTML = "";
+        const shortcuts = getShortcuts(this.preferences);
+        [
+            ...FIXED_SHORTCUTS,
+            ...Object.entries(SHORTCUT_ACTIONS).map(
+                ([action, description]) => ({
+                    label: formatShortcut(shortcuts[action]),
+                    description,
+                }),
+            ),
+        ].forEach(({ label, description }) => {
+            const key = document.createElement("dt");
+            const kbd = document.createElement("kbd");
+            kbd.textContent = label;
+            key.appendChild(kbd);
+            const text = document.createElement("dd");
+            text.textContent = description;
+            list.append(key, text);
+        });
+        this.helpDialog.showModal();
+    }
+}
+
+/** Edits the keys of remappable shortcuts in the settings dialog. */
+class ShortcutSettings {
+    /**
+     * Create a new ShortcutSettings instance.
+     * @param {HTMLElement} container - The element holding the shortcut list.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+     */
+    constructor(container, preferences) {
+        this.list = container.querySelector(".shortcut-settings-list");
+        this.preferences = preferences;
+
+        container
+            .querySelector(".shortcuts-reset-btn")
+            .addEventListener("click", () =>
+                this.preferences.reset("shortcuts"),
+            );
+        this.preferences.addEventListener("preferencesUpdated", (e) => {
+            if (e.detail.key === "shortcuts") this.render();
+        });
+        this.render();
+    }
+
+    /** Render the list of remappable shortcuts. */
+    render() {
+        this.list.innerHTML = "";
+        const shortcuts = getShortcuts(this.preferences);
+        Object.entries(SHORTCUT_ACTIONS).forEach(([action, description]) => {
+            const item = document.createElement("li");
+            item.className = "shortcut-entry";
+
+            const text = document.createElement("span");
+            text.className = "shortcut-description";
+            text.textContent = description;
+
+            const button = document.createElement("button");
+            button.type = "button";
+            button.className = "shortcut-key-btn";
+            button.textContent = formatShortcut(shortcuts[action]);
+            button.title = "Click, then press the new key";
+            button.addEventListener("click", () => this.record(action, button));
+
+            item.append(text, button);
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Wait for the new key of an action, pressed on its button.
+     * Escape or leaving the button cancels.
+     * @param {string} action - The action to remap.
+     * @param {HTMLButtonElement} button - The button of the action.
+     */
+    record(action, button) {
+        const controller = new AbortController();
+        const stop = () => {
+            controller.abort();
+            this.render();
+        };
+        button.textContent = "Press a key…";
+        button.addEventListener(
+            "keydown",
+            (e) => {
+                const shortcut = getShortcut(e);
+                if (!shortcut) return;
+                // Don't close the dialog or trigger other shortcuts
+                e.preventDefault();
+                e.stopPropagation();
+                if (shortcut === "Escape") {
+                    stop();
+                    return;
+                }
+
+                const shortcuts = {
+                    ...getShortcuts(this.preferences),
+                    [action]: shortcut,
+                };
+                const error = validateShortcuts(shortcuts);
+                if (error) {
+                    alert(error);
+                    stop();
+                    return;
+                }
+                controller.abort();
+                this.preferences.set("shortcuts", shortcuts);
+            },
+            { signal: controller.signal },
+        );
+        button.addEventListener("blur", stop, { signal: controller.signal });
+    }
+}
+
+export {
+    DEFAULT_SHORTCUTS,
+    GridNavigator,
+    ShortcutSettings,
+    validateShortcuts,
+};
@@ -0,0 +1,465 @@
+"use strict";
+import { readVersioned, writeVersioned, isPlainObject } from "./schema.js";
+
+const NOTES_STORAGE_KEY = "nano-start-notes";
+
+/** Delay in milliseconds between the last keystroke and saving a note. */
+const AUTOSAVE_DELAY = 500;
+
+/** Inline markdown: bold, italic, code, links and bare URLs (without trailing punctuation). */
+const INLINE_PATTERN =
+    /(\*\*[^*]+\*\*|\*[^*]+\*|`[^`]+`|\[[^\]]+\]\([^)\s]+\)|https?:\/\/[^\s)]*[^\s).,;:!?])/;
+
+/**
+ * Create a link element, if the URL is a web address.
+ * @param {string} text - The link text.
+ * @param {string} url - The link URL.
+ * @returns {HTMLAnchorElement|Text} The link, or plain text for other URLs.
+ */
+function createLink(text, url) {
+    if (!URL.canParse(url) || !/^https?:$/.test(new URL(url).protocol)) {
+        return document.createTextNode(text);
+    }
+    const link = document.createElement("a");
+    link.href = url;
+    link.textContent = text;
+    return link;
+}
+
+/**
+ * Render inline markdown into an element.
+ * @param {HTMLElement} parent - The element to append to.
+ * @param {string} text - The text to render.
+ */
+function renderInline(parent, text) {
+    // Splitting on a capturing group alternates between text and tokens
+    text.split(INLINE_PATTERN).forEach((part, index) => {
+        if (index % 2 === 0) {
+            if (part) parent.append(part);
+            return;
+        }
+
+        const link = part.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+        if (link) {
+            parent.appendChild(createLink(link[1], link[2]));
+        } else if (part.startsWith("**")) {
+            const strong = document.createElement("strong");
+            strong.textContent = part.slice(2, -2);
+            parent.appendChild(strong);
+        } else if (part.startsWith("*")) {
+            const em = document.createElement("em");
+            em.textContent = part.slice(1, -1);
+            parent.appendChild(em);
+        } else if (part.startsWith("`")) {
+            const code = document.createElement("code");
+            code.textContent = part.slice(1, -1);
+            parent.appendChild(code);
+        } else {
+            parent.appendChild(createLink(part, part));
+        }
+    });
+}
+
+/**
+ * Render a small subset of markdown: headings, paragraphs, bulleted,
+ * numbered and task lists (`- [ ]` and `- [x]`), and inline formatting.
+ * Text is never parsed as HTML.
+ * @param {string} text - The markdown text.
+ * @param {(line: number) => void} [onToggleTask] - Called with the line index when a task checkbox is clicked.
+ * @returns {DocumentFragment} The rendered content.
+ */
+function renderMarkdown(text, onToggleTask) {
+    const fragment = document.createDocumentFragment();
+    let paragraph = null;
+    let list = null;
+
+    text.split("\n").forEach((line, lineIndex) => {
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        const task = line.match(/^\s*[-*]\s+\[([ xX])\]\s*(.*)$/);
+        const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+        if (!task && !bullet && !numbered) list = null;
+        if (heading || task || bullet || numbered || !line.trim()) {
+            paragraph = null;
+        }
+
+        if (heading) {
+            const element = document.createElement(`h${heading[1].length + 3}`);
+            renderInline(element, heading[2]);
+            fragment.appendChild(element);
+        } else if (task || bullet || numbered) {
+            const listClass = task ? "task-list" : bullet ? "ul" : "ol";
+            if (list?.dataset.type !== listClass) {
+                list = document.createElement(numbered ? "ol" : "ul");
+                list.dataset.type = listClass;
+                if (task) list.className = "task-list";
+                fragment.appendChild(list);
+            }
+
+            const item = document.createElement("li");
+            if (task) {
+                const label = document.createElement("label");
+                const checkbox = document.createElement("input");
+                checkbox.type = "checkbox";
+                checkbox.checked = task[1] !== " ";
+                checkbox.disabled = !onToggleTask;
+                checkbox.addEventListener("change", () =>
+                    onToggleTask?.(lineIndex),
+                );
+                label.appendChild(checkbox);
+                renderInline(label, task[2]);
+                item.appendChild(label);
+                item.classList.toggle("done", checkbox.checked);
+            } else {
+                renderInline(item, (bullet ?? numbered)[1]);
+            }
+            list.appendChild(item);
+        } else if (line.trim()) {
+            // Lines of a paragraph keep their breaks, as in a scratchpad
+            if (paragraph) {
+                paragraph.appendChild(document.createElement("br"));
+            } else {
+                paragraph = document.createElement("p");
+                fragment.appendChild(paragraph);
+            }
+            renderInline(paragraph, line);
+        }
+    });
+
+    return fragment;
+}
+
+/**
+ * Toggle the task on a line of markdown text.
+ * @param {string} text - The markdown text.
+ * @param {number} lineIndex - The index of the task line.
+ * @returns {string} The text with the task checked or unchecked.
+ */
+function toggleTask(text, lineIndex) {
+    const lines = text.split("\n");
+    lines[lineIndex] = lines[lineIndex].replace(
+        /^(\s*[-*]\s+\[)([ xX])\]/,
+        (match, prefix, mark) => `${prefix}${mark === " " ? "x" : " "}]`,
+    );
+    return lines.join("\n");
+}
+
+/** Manages notes persisted in storage, by name. */
+class NotesManager extends EventTarget {
+    /**
+     * Create a new NotesManager instance.
+     * Notes are empty until load() completes.
+     * @param {import('./storage.js').StorageAdapter} storage - The storage backend.
+     */
+    constructor(storage) {
+        super();
+        this.storage = storage;
+        /**
+         * Note texts, by name.
+         * @type {Object<string, string>}
+         */
+        this.notes = {};
+
+        // Keep in sync with changes made in other tabs
+        this.storage.addEventListener("change", (e) =>
+            this.handleStorageChange(e),
+        );
+    }
+
+    /**
+     * Reload notes changed by another tab and dispatch update events.
+     * @param {CustomEvent} e - The change event of the storage backend.
+     */
+    async handleStorageChange(e) {
+        const { key } = e.detail;
+        if (key !== null && key !== NOTES_STORAGE_KEY) return;
+
+        const previous = this.notes;
+        await this.load();
+        const names = new Set([
+            ...Object.keys(previous),
+            ...Object.keys(this.notes),
+        ]);
+        names.forEach((name) => {
+            if (this.get(name) !== (previous[name] ?? "")) {
+                this.dispatchEvent(
+                    new CustomEvent("notesUpdated", { detail: { name } }),
+                );
+            }
+        });
+    }
+
+    /** Load notes from storage. */
+    async load() {
+        try {
+            const stored = await this.storage.get(NOTES_STORAGE_KEY);
+            const { value } = readVersioned(stored, "notes");
+            this.notes = isPlainObject(value) ? value : {};
+        } catch (error) {
+            console.error("Error loading notes from storage:", error);
+        }
+    }
+
+    /** Save notes to storage in the background. */
+    save() {
+        this.storage
+            .set(NOTES_STORAGE_KEY, writeVersioned("notes", this.notes))
+            .catch((error) => {
+                console.error("Error saving notes to storage:", error);
+            });
+    }
+
+    /**
+     * Get the text of a note.
+     * @param {string} name - The note name.
+     * @returns {string} The note text, empty if there is none.
+     */
+    get(name) {
+        return this.notes[name] ?? "";
+    }
+
+    /**
+     * Set the text of a note, save and dispatch update event.
+     * @param {string} name - The note name.
+     * @param {string} text - The new text.
+     */
+    set(name, text) {
+        if (text === this.get(name)) return;
+        this.notes = { ...this.notes, [name]: text };
+        this.save();
+        this.dispatchEvent(
+            new CustomEvent("notesUpdated", { detail: { name } }),
+        );
+    }
+
+    /**
+     * Export notes for a backup.
+     * @returns {Object<string, string>} The note texts, by name.
+     */
+    exportToJSON() {
+        return { ...this.notes };
+    }
+
+    /**
+     * Compare notes from a backup with current ones. Notes that are
+     * currently empty are new, others changed; non-text notes are rejected.
+     * @param {Object} notes - The note texts to import, by name.
+     * @returns {import('./card.js').ImportDiff} The comparison result.
+     */
+    diffImport(notes) {
+        const diff = { entries: [], rejected: [] };
+        Object.entries(notes).forEach(([name, text]) => {
+            if (typeof text !== "string") {
+                diff.rejected.push({ name, errors: ["Note must be text"] });
+                return;
+            }
+
+            const current = this.get(name);
+            const data = { name, text };
+            if (text === current) {
+                diff.entries.push({ status: "identical", data });
+            } else if (!current) {
+                diff.entries.push({ status: "new", data });
+            } else {
+                diff.entries.push({
+                    status: "changed",
+                    data,
+                    current,
+                    changes: [{ field: "text", from: current, to: text }],
+                });
+            }
+        });
+        return diff;
+    }
+
+    /**
+     * Apply notes from a backup, compared by diffImport().
+     * @param {import('./card.js').ImportDiff} diff - The comparison result.
+     * @param {Object} [options] - Import options.
+     * @param {boolean} [options.replace] - Whether to delete notes missing from the backup.
+     * @param {Set<Object>} [options.overwrite] - Changed entries to apply.
+     * @returns {number} The number of notes added or overwritten.
+     */
+    applyImport(diff, { replace = false, overwrite = new Set() } = {}) {
+        const previous = this.notes;
+        const notes = replace ? {} : { ...this.notes };
+        let importedCount = 0;
+        diff.entries.forEach((entry) => {
+            if (replace || entry.status === "new" || overwrite.has(entry)) {
+                notes[entry.data.name] = entry.data.text;
+                if (entry.status !== "identical") importedCount++;
+            }
+        });
+
+        this.notes = notes;
+        this.save();
+        new Set([...Object.keys(previous), ...Object.keys(notes)]).forEach(
+            (name) => {
+                if (this.get(name) !== (previous[name] ?? "")) {
+                    this.dispatchEvent(
+                        new CustomEvent("notesUpdated", { detail: { name } }),
+                    );
+                }
+            },
+        );
+        return importedCount;
+    }
+}
+
+/**
+ * A note shown as rendered markdown, edited inline as plain text.
+ * Changes are saved automatically while typing.
+ */
+class NotePad {
+    /**
+     * Create a new NotePad instance.
+     * @param {HTMLElement} element - The element to render the note into.
+     * @param {NotesManager} notes - The notes manager.
+     * @param {Object} [options] - Note options.
+     * @param {string} [options.name] - The name the note is stored under.
+     * @param {string} [options.title] - The title shown above the note.
+     */
+    constructor(element, notes, { name = "default", title = "Notes" } = {}) {
+        this.element = element;
+        this.notes = notes;
+        this.name = name;
+        this.saveTimer = null;
+        /** Removes the notes listener on destroy(). */
+        this.listenersController = new AbortController();
+
+        element.classList.add("note-pad");
+        const header = document.createElement("div");
+        header.className = "note-header";
+        const heading = document.createElement("span");
+        heading.className = "note-title";
+        heading.textContent = title;
+        this.editButton = document.createElement("button");
+        this.editButton.className = "edit-btn";
+        header.append(heading, this.editButton);
+
+        this.view = document.createElement("div");
+        this.view.className = "note-view";
+        this.editor = document.createElement("textarea");
+        this.editor.className = "note-editor";
+        this.editor.placeholder =
+            "Write in markdown: # headings, - lists, - [ ] tasks, **bold**, [links](https://…)";
+        this.editor.setAttribute("aria-label", title);
+        element.append(header, this.view, this.editor);
+
+        this.editButton.addEventListener("click", () => {
+            if (this.isEditing) {
+                this.stopEditing();
+            } else {
+                this.startEditing();
+            }
+        });
+        this.view.addEventListener("dblclick", (e) => {
+            // Links and checkboxes keep their own behavior
+            if (!e.target.closest("a, input")) this.startEditing();
+        });
+        this.editor.addEventListener("input", () => this.scheduleSave());
+        this.editor.addEventListener("keydown", (e) => {
+            if (e.key === "Escape" || (e.key === "Enter" && e.ctrlKey)) {
+                e.preventDefault();
+                this.stopEditing();
+            }
+        });
+        this.editor.addEventListener("blur", () => this.saveNow());
+        this.notes.addEventListener(
+            "notesUpdated",
+            (e) => {
+                // Changes from elsewhere don't overwrite text being typed
+                if (e.detail.name === this.name && !this.isEditing) {
+                    this.render();
+                }
+            },
+            { signal: this.listenersController.signal },
+        );
+
+        this.setEditing(false);
+    }
+
+    /**
+     * Whether the note is being edited.
+     * @returns {boolean}
+     */
+    get isEditing() {
+        return this.element.classList.contains("editing");
+    }
+
+    /**
+     * Switch between showing and editing the note.
+     * @param {boolean} enable - Whether to enable editing mode.
+     */
+    setEditing(enable) {
+        this.element.classList.toggle("editing", enable);
+        this.view.hidden = enable;
+        this.editor.hidden = !enable;
+        if (enable) {
+            this.editButton.textContent = "✓";
+            this.editButton.title = "Done";
+        } else {
+            this.editButton.textContent = "✎";
+            this.editButton.title = "Edit";
+            this.render();
+        }
+    }
+
+    /** Start editing the note. */
+    startEditing() {
+        this.editor.value = this.notes.get(this.name);
+        this.setEditing(true);
+        this.editor.focus();
+    }
+
+    /** Save and stop editing the note. */
+    stopEditing() {
+        this.saveNow();
+        this.setEditing(false);
+    }
+
+    /** Render the note as markdown. */
+    render() {
+        const text = this.notes.get(this.name);
+        this.view.innerHTML = "";
+        if (!text.trim()) {
+            const empty = document.createElement("p");
+            empty.className = "note-empty";
+            empty.textContent = "Nothing here yet. Double-click to write.";
+            this.view.appendChild(empty);
+            return;
+        }
+        this.view.appendChild(
+            renderMarkdown(text, (line) =>
+                this.notes.set(
+                    this.name,
+                    toggleTask(this.notes.get(this.name), line),
+                ),
+            ),
+        );
+    }
+
+    /** Save the edited text once typing pauses. */
+    scheduleSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveNow(), AUTOSAVE_DELAY);
+    }
+
+    /** Save the edited text right away. */
+    saveNow() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (this.isEditing) {
+            this.notes.set(this.name, this.editor.value);
+        }
+    }
+
+    /** Save pending changes and stop following note changes. */
+    destroy() {
+        this.saveNow();
+        this.listenersController.abort();
+    }
+}
+
+export { NotePad, NotesManager };
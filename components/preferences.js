@@ -0,0 +1,316 @@
+"use strict";
+import { isPlainObject, readVersioned, writeVersioned } from "./schema.js";
+import { isValidTimeZone } from "./clock.js";
+import {
+    DEFAULT_WIDGETS,
+    validateImportedWidgets,
+    validateWidgets,
+} from "./widgets.js";
+import { isValidBackground } from "./theme.js";
+import { DEFAULT_SHORTCUTS, validateShortcuts } from "./keyboard.js";
+import { validateHostList } from "./url.js";
+
+const PREFERENCES_STORAGE_KEY = "nano-start-preferences";
+
+/** Default values of all preferences. */
+const DEFAULT_PREFERENCES = {
+    /** What comes first in search results: "sites-first" or "engine-first". */
+    resultOrder: "sites-first",
+    /** Hosts of the local network typed in the search bar to open them (e.g. "nas, wiki.corp"). */
+    intranetHosts: "",
+    /** Number of past queries kept by the search bar; 0 to keep none. */
+    searchHistorySize: 100,
+    /** Wildcard patterns of queries never kept, separated by commas (e.g. "*password*, bank*"). */
+    searchHistoryExclude: "",
+    /** URL template of a service providing site icons, with `{domain}` or `{url}`; empty to disable. */
+    iconService: "",
+    /** Order of sites in the grid: "manual" (as arranged) or "most-used" (by frecency). */
+    siteOrder: "manual",
+    /** Whether the clock shows the date below the time. */
+    clockShowDate: false,
+    /** Whether the clock shows seconds. */
+    clockShowSeconds: true,
+    /** Hour cycle of the clock: "h23" (24-hour), "h12" (12-hour) or "auto" (locale default). */
+    clockHourCycle: "h23",
+    /** Locale of the clock, as language tag (e.g. "en-GB"); empty for the browser default. */
+    clockLocale: "",
+    /** Clocks of other time zones, as `{label, timeZone}` with IANA time zone names. */
+    clockTimeZones: [],
+    /** Widgets shown on the page, see `WidgetEntry` in widgets.js. */
+    widgets: DEFAULT_WIDGETS,
+    /** Color scheme of the page: "light", "dark" or "auto" (system setting). */
+    themeMode: "auto",
+    /** Accent color, as hex color (e.g. "#74a9f6"). */
+    themeAccent: "#74a9f6",
+    /** Size of site cards, in percent of the default size. */
+    themeCardSize: 100,
+    /** Corner radius of site cards, in pixels. */
+    themeCardRadius: 8,
+    /** Page background: a CSS gradient, an image data URL, or empty for none. */
+    themeBackground: "",
+    /** Keys of the site grid shortcuts, by action, see `SHORTCUT_ACTIONS` in keyboard.js. */
+    shortcuts: DEFAULT_SHORTCUTS,
+};
+
+/**
+ * Checks of preference values beyond their type.
+ * Each returns an error message, or null if the value is valid.
+ * @type {Object<string, (value: *) => string|null>}
+ */
+const PREFERENCE_VALIDATORS = {
+    resultOrder: (value) =>
+        ["sites-first", "engine-first"].includes(value)
+            ? null
+            : `Unknown result order: ${value}`,
+    intranetHosts: validateHostList,
+    searchHistorySize: (value) =>
+        Number.isInteger(value) && value >= 0 && value <= 1000
+            ? null
+            : "Search history size must be between 0 and 1000",
+    siteOrder: (value) =>
+        ["manual", "most-used"].includes(value)
+            ? null
+            : `Unknown site order: ${value}`,
+    clockHourCycle: (value) =>
+        ["h23", "h12", "auto"].includes(value)
+            ? null
+            : `Unknown time format: ${value}`,
+    clockLocale: (value) => {
+        try {
+            Intl.getCanonicalLocales(value || []);
+            return null;
+        } catch {
+            return `Invalid language tag: ${value}`;
+        }
+    },
+    clockTimeZones: (value) => {
+        const invalid = value.find(
+            (zone) =>
+                !isPlainObject(zone) ||
+                typeof zone.label !== "string" ||
+                !isValidTimeZone(zone.timeZone),
+        );
+        return invalid === undefined
+            ? null
+            : `Invalid time zone: ${JSON.stringify(invalid)}`;
+    },
+    widgets: validateWidgets,
+    themeMode: (value) =>
+        ["auto", "light", "dark"].includes(value)
+            ? null
+            : `Unknown theme mode: ${value}`,
+    themeAccent: (value) =>
+        /^#[\da-f]{6}$/i.test(value) ? null : `Invalid color: ${value}`,
+    themeCardSize: (value) =>
+        Number.isInteger(value) && value >= 50 && value <= 200
+            ? null
+            : "Card size must be between 50 and 200%",
+    themeCardRadius: (value) =>
+        Number.isInteger(value) && value >= 0 && value <= 50
+            ? null
+            : "Card radius must be between 0 and 50 px",
+    themeBackground: (value) =>
+        isValidBackground(value) ? null : "Invalid background",
+    shortcuts: validateShortcuts,
+};
+
+/** Manages simple key-value preferences persisted in storage. */
+class PreferencesManager extends EventTarget {
+    /**
+     * Create a new PreferencesManager instance.
+     * Preferences keep their default values until load() completes.
+     * @param {import('./storage.js').StorageAdapter} storage - The storage backend.
+     */
+    constructor(storage) {
+        super();
+        this.storage = storage;
+        /**
+         * Current preference values.
+         * @type {Object}
+         */
+        this.values = structuredClone(DEFAULT_PREFERENCES);
+
+        // Keep in sync with changes made in other tabs
+        this.storage.addEventListener("change", (e) =>
+            this.handleStorageChange(e),
+        );
+    }
+
+    /**
+     * Reload preferences changed by another tab and dispatch update events.
+     * @param {CustomEvent} e - The change event of the storage backend.
+     */
+    async handleStorageChange(e) {
+        const { key } = e.detail;
+        if (key !== null && key !== PREFERENCES_STORAGE_KEY) return;
+
+        const previous = this.values;
+        this.values = structuredClone(DEFAULT_PREFERENCES);
+        await this.load();
+        Object.entries(this.values).forEach(([key, value]) => {
+            if (JSON.stringify(value) !== JSON.stringify(previous[key])) {
+                this.dispatchEvent(
+                    new CustomEvent("preferencesUpdated", {
+                        detail: { key, value },
+                    }),
+                );
+            }
+        });
+    }
+
+    /** Load preferences from storage, keeping defaults for missing keys. */
+    async load() {
+        try {
+            const stored = await this.storage.get(PREFERENCES_STORAGE_KEY);
+            if (stored !== undefined) {
+                const { value } = readVersioned(stored, "values");
+                if (isPlainObject(value)) {
+                    this.values = {
+                        ...structuredClone(DEFAULT_PREFERENCES),
+                        ...value,
+                    };
+                }
+            }
+        } catch (error) {
+            console.error("Error loading preferences from storage:", error);
+        }
+    }
+
+    /** Save preferences to storage in the background. */
+    save() {
+        this.storage
+            .set(PREFERENCES_STORAGE_KEY, writeVersioned("values", this.values))
+            .catch((error) => {
+                console.error("Error saving preferences to storage:", error);
+            });
+    }
+
+    /**
+     * Check a preference value.
+     * @param {string} key - The preference key.
+     * @param {*} value - The value to check.
+     * @returns {string|null} The error message, or null if the value is valid.
+     */
+    static validate(key, value) {
+        if (!(key in DEFAULT_PREFERENCES)) {
+            return "Unknown preference";
+        }
+        const expected = DEFAULT_PREFERENCES[key];
+        if (
+            typeof value !== typeof expected ||
+            Array.isArray(value) !== Array.isArray(expected)
+        ) {
+            return `Must be ${Array.isArray(expected) ? "a list" : `a ${typeof expected}`}`;
+        }
+        return PREFERENCE_VALIDATORS[key]?.(value) ?? null;
+    }
+
+    /**
+     * Get the value of a preference.
+     * @param {string} key - The preference key.
+     * @returns {*} The preference value.
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Set the value of a preference, save and dispatch update event.
+     * @param {string} key - The preference key.
+     * @param {*} value - The new value.
+     */
+    set(key, value) {
+        this.values[key] = value;
+        this.save();
+        this.dispatchEvent(
+            new CustomEvent("preferencesUpdated", { detail: { key, value } }),
+        );
+    }
+
+    /**
+     * Restore the default value of a preference.
+     * @param {string} key - The preference key.
+     */
+    reset(key) {
+        this.set(key, structuredClone(DEFAULT_PREFERENCES[key]));
+    }
+
+    /**
+     * Export preferences for a backup.
+     * @returns {Object} The preference values.
+     */
+    exportToJSON() {
+        return structuredClone(this.values);
+    }
+
+    /**
+     * Compare preferences from a backup with current ones. Preferences still
+     * at their default value are new, others changed; invalid ones are rejected,
+     * as are widget modules that are neither built in nor already added.
+     * @param {Object} values - The preference values to import.
+     * @returns {import('./card.js').ImportDiff} The comparison result.
+     */
+    diffImport(values) {
+        const diff = { entries: [], rejected: [] };
+        Object.entries(values).forEach(([key, value]) => {
+            const error =
+                PreferencesManager.validate(key, value) ??
+                (key === "widgets"
+                    ? validateImportedWidgets(value, this.values.widgets)
+                    : null);
+            if (error) {
+                diff.rejected.push({ name: key, errors: [error] });
+                return;
+            }
+
+            const current = this.values[key];
+            const data = { name: key, key, value };
+            if (JSON.stringify(value) === JSON.stringify(current)) {
+                diff.entries.push({ status: "identical", data });
+            } else if (
+                JSON.stringify(current) ===
+                JSON.stringify(DEFAULT_PREFERENCES[key])
+            ) {
+                diff.entries.push({ status: "new", data });
+            } else {
+                diff.entries.push({
+                    status: "changed",
+                    data,
+                    current,
+                    changes: [{ field: key, from: current, to: value }],
+                });
+            }
+        });
+        return diff;
+    }
+
+    /**
+     * Apply preferences from a backup, compared by diffImport().
+     * @param {import('./card.js').ImportDiff} diff - The comparison result.
+     * @param {Object} [options] - Import options.
+     * @param {boolean} [options.replace] - Whether to reset preferences missing from the backup.
+     * @param {Set<Object>} [options.overwrite] - Changed entries to apply.
+     * @returns {number} The number of preferences changed.
+     */
+    applyImport(diff, { replace = false, overwrite = new Set() } = {}) {
+        const values = replace
+            ? structuredClone(DEFAULT_PREFERENCES)
+            : { ...this.values };
+        let importedCount = 0;
+        diff.entries.forEach((entry) => {
+            if (replace || entry.status === "new" || overwrite.has(entry)) {
+                values[entry.data.key] = entry.data.value;
+                if (entry.status !== "identical") importedCount++;
+            }
+        });
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (JSON.stringify(value) !== JSON.stringify(this.values[key])) {
+                this.set(key, value);
+            }
+        });
+        return importedCount;
+    }
+}
+
+export { PreferencesManager, DEFAULT_PREFERENCES };
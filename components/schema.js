@@ -0,0 +1,82 @@
+"use strict";
+
+/**
+ * Current version of the data schema, shared by stored data and backup files.
+ * Bump it when the shape of stored data changes, and add the matching
+ * migration step to `upgradeItem` of the affected managers.
+ *
+ * - Version 1: Unversioned data (bare arrays and objects).
+ * - Version 2: Versioned data; every item has an icon, engines have `keyword` and `suggestUrl`.
+ */
+const SCHEMA_VERSION = 2;
+
+/** Error thrown when data does not match any known schema. */
+class SchemaError extends Error {
+    /**
+     * Create a new SchemaError instance.
+     * @param {string} message - The error message.
+     */
+    constructor(message) {
+        super(message);
+        this.name = "SchemaError";
+    }
+}
+
+/**
+ * Check whether the value is a plain object (not null or an array).
+ * @param {*} value - The value to check.
+ * @returns {boolean} Whether the value is a plain object.
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check a schema version read from stored data or a backup file.
+ * @param {*} version - The version to check.
+ * @returns {number} The version.
+ * @throws {SchemaError} If the version is not a positive integer.
+ */
+function checkVersion(version) {
+    if (!Number.isInteger(version) || version < 1) {
+        throw new SchemaError(`Invalid schema version: ${version}`);
+    }
+    return version;
+}
+
+/**
+ * Unwrap stored data written by `writeVersioned`.
+ * Data stored before versioning is returned as is, with version 1.
+ * @param {*} parsed - The stored data.
+ * @param {string} field - The field holding the value.
+ * @returns {{version: number, value: *}} The schema version and stored value.
+ * @throws {SchemaError} If the stored version is invalid.
+ */
+function readVersioned(parsed, field) {
+    if (isPlainObject(parsed) && "schemaVersion" in parsed) {
+        return {
+            version: checkVersion(parsed.schemaVersion),
+            value: parsed[field],
+        };
+    }
+    return { version: 1, value: parsed };
+}
+
+/**
+ * Wrap a value for storage, tagged with the current schema version.
+ * @param {string} field - The field to hold the value.
+ * @param {*} value - The value to store.
+ * @returns {Object} The data to store.
+ */
+function writeVersioned(field, value) {
+    return { schemaVersion: SCHEMA_VERSION, [field]: value };
+}
+
+export {
+    SCHEMA_VERSION,
+    SchemaError,
+    checkVersion,
+    isPlainObject,
+    readVersioned,
+    writeVersioned,
+};
@@ -1,12 +1,23 @@
-import Fuse from "https://cdn.jsdelivr.net/npm/fuse.js@7.1.0/dist/fuse.mjs";
+import Fuse from "../vendor/fuse.js@7.1.0/fuse.mjs";
+import { SuggestionProvider } from "./suggest.js";
+import { classifyUrl, parseHostList } from "./url.js";
+
+/** Prefix switching the search input into a command palette. */
+const COMMAND_PREFIX = ">";
+
+/** Weight of frecency (how often and recently a site is opened) against match quality. */
+const FRECENCY_WEIGHT = 0.5;
 
 /**
  * @typedef {Object} SearchResult
  * @property {string} name - The result name.
  * @property {string} url - The result URL.
  * @property {string} icon - The result icon (emoji or URL).
+ * @property {string} [id] - The site ID, if the result is a site.
  */
 
+/** @typedef {import('./commands.js').Command} Command */
+
 /** Manages search functionality with fuzzy matching and keyboard navigation. */
 class SearchManager {
     /**
@@ -15,13 +26,36 @@ class SearchManager {
      * @param {HTMLElement} resultsElement - The container for search results.
      * @param {import('./site.js').SiteManager} siteManager - The site manager instance.
      * @param {import('./settings.js').SettingsManager} settingsManager - The settings manager instance.
+     * @param {import('./commands.js').CommandRegistry} commands - The commands of the command palette.
      */
-    constructor(inputElement, resultsElement, siteManager, settingsManager) {
+    constructor(
+        inputElement,
+        resultsElement,
+        siteManager,
+        settingsManager,
+        commands,
+    ) {
         this.input = inputElement;
         this.resultsContainer = resultsElement;
         this.siteManager = siteManager;
         this.settingsManager = settingsManager;
+        this.commands = commands;
+        /** Past queries, recalled with ↑ and shown among results. */
+        this.history = settingsManager.searchHistory;
+        /**
+         * Index of the past query recalled with ↑, or -1 while typing.
+         * @type {number}
+         */
+        this.historyIndex = -1;
         this.debounceTimer = null;
+        this.suggestionProvider = new SuggestionProvider();
+        /**
+         * Controller of the pending suggestion request.
+         * @type {AbortController|null}
+         */
+        this.suggestionController = null;
+        /** Removes listeners outside the search elements on destroy(). */
+        this.listenersController = new AbortController();
         this.fuse = new Fuse(this.siteManager.items, {
             keys: [
                 {
@@ -37,6 +71,7 @@ class SearchManager {
             threshold: 0.6,
             ignoreDiacritics: true,
             ignoreLocation: true,
+            includeScore: true,
         });
 
         this.setupEventListeners();
@@ -77,6 +112,7 @@ class SearchManager {
     setupEventListeners() {
         // Input change with debounce
         this.input.addEventListener("input", (e) => {
+            this.historyIndex = -1;
             clearTimeout(this.debounceTimer);
             this.debounceTimer = setTimeout(() => {
                 this.handleSearch(e.target.value);
@@ -90,7 +126,16 @@ class SearchManager {
                 this.highlightNext();
             } else if (e.key === "ArrowUp") {
                 e.preventDefault();
-                this.highlightPrevious();
+                // Cycle past queries from an empty input, until typing;
+                // below the first result, move the highlight up instead
+                if (
+                    this.input.value === "" ||
+                    (this.historyIndex !== -1 && this.highlightedIndex <= 0)
+                ) {
+                    this.recallPreviousQuery();
+                } else {
+                    this.highlightPrevious();
+                }
             } else if (e.key === "Home") {
                 e.preventDefault();
                 this.highlightedIndex = 0;
@@ -118,28 +163,52 @@ class SearchManager {
             }
         });
 
+        const { signal } = this.listenersController;
+
         // Click outside to close
-        document.addEventListener("click", (e) => {
-            if (
-                !this.input.contains(e.target) &&
-                !this.resultsContainer.contains(e.target)
-            ) {
-                this.hideResults();
-            }
-        });
+        document.addEventListener(
+            "click",
+            (e) => {
+                if (
+                    !this.input.contains(e.target) &&
+                    !this.resultsContainer.contains(e.target)
+                ) {
+                    this.hideResults();
+                }
+            },
+            { signal },
+        );
 
-        // Enter to focus input
-        document.addEventListener("keydown", (e) => {
-            if (e.key === "Enter" && document.activeElement !== this.input) {
-                this.input.focus();
-                e.preventDefault();
-            }
-        });
+        // Enter to focus input, unless it opens the focused site or button
+        document.addEventListener(
+            "keydown",
+            (e) => {
+                if (
+                    e.key === "Enter" &&
+                    document.activeElement === document.body
+                ) {
+                    this.input.focus();
+                    e.preventDefault();
+                }
+            },
+            { signal },
+        );
 
         // Listen for site list updates to refresh Fuse index
-        this.siteManager.addEventListener("itemsUpdated", () => {
-            this.fuse.setCollection(this.siteManager.items);
-        });
+        this.siteManager.addEventListener(
+            "itemsUpdated",
+            () => {
+                this.fuse.setCollection(this.siteManager.items);
+            },
+            { signal },
+        );
+    }
+
+    /** Stop searching: remove listeners and cancel pending work. */
+    destroy() {
+        this.listenersController.abort();
+        clearTimeout(this.debounceTimer);
+        this.suggestionController?.abort();
     }
 
     /**
@@ -154,69 +223,214 @@ class SearchManager {
             return;
         }
 
+        if (query.startsWith(COMMAND_PREFIX)) {
+            this.cancelSuggestions();
+            this.renderResults(
+                this.commands.search(query.slice(COMMAND_PREFIX.length).trim()),
+            );
+            return;
+        }
+
         const results = this.getResults(query);
         this.renderResults(results);
+        this.requestSuggestions(query);
+    }
+
+    /**
+     * Search for a query as if it was typed.
+     * @param {string} query - The search query.
+     */
+    search(query) {
+        clearTimeout(this.debounceTimer);
+        this.input.value = query;
+        this.input.focus();
+        this.handleSearch(query);
+    }
+
+    /** Search for the past query before the recalled one, if any. */
+    recallPreviousQuery() {
+        const query = this.history.queries[this.historyIndex + 1];
+        if (query === undefined) return;
+        this.historyIndex++;
+        this.search(query);
+    }
+
+    /**
+     * Get past queries containing the query as search results.
+     * @param {string} query - The search query.
+     * @returns {Command[]} Results searching for the past queries when activated.
+     */
+    getHistoryResults(query) {
+        return this.history.search(query).map((pastQuery) => ({
+            name: pastQuery,
+            icon: "🕘",
+            description: "Recent search",
+            run: () => this.search(pastQuery),
+        }));
     }
 
     /**
-     * Get search results including filtered sites and configured search engines.
+     * Fetch suggestions for the query and append them to the results.
+     * Any pending suggestion request is cancelled.
+     * @param {string} query - The search query.
+     */
+    async requestSuggestions(query) {
+        this.cancelSuggestions();
+        const source = this.settingsManager.getSuggestionSource(query);
+        if (!source) return;
+
+        const controller = new AbortController();
+        this.suggestionController = controller;
+        try {
+            const suggestions = await this.suggestionProvider.getSuggestions(
+                source.engine.suggestUrl,
+                source.query,
+                controller.signal,
+            );
+            if (controller.signal.aborted || this.resultsContainer.hidden) {
+                return;
+            }
+            this.appendResults(
+                suggestions.map((suggestion) =>
+                    this.settingsManager.createSuggestionResult(
+                        source.engine,
+                        suggestion,
+                    ),
+                ),
+            );
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.warn("Error fetching suggestions:", error);
+            }
+        }
+    }
+
+    /** Cancel the pending suggestion request, if any. */
+    cancelSuggestions() {
+        this.suggestionController?.abort();
+        this.suggestionController = null;
+    }
+
+    /**
+     * Get search results including filtered sites, configured search engines and past queries.
+     * The default engine comes first among engines, or before sites if so configured.
      * @param {string} query - The search query.
      * @returns {SearchResult[]} Array of result objects with name, url, and icon properties.
      */
     getResults(query) {
         const results = [];
 
-        // If query is a valid URL, add direct open option as first result
-        if (URL.canParse(query)) {
+        // If query starts with an engine keyword, search that engine directly
+        const keywordResult =
+            this.settingsManager.getKeywordSearchResult(query);
+        if (keywordResult) {
+            results.push(keywordResult);
+            results.push(...this.filterSites(query));
+            results.push(...this.getHistoryResults(query));
+            return results;
+        }
+
+        // If query is an address, add direct open option as first result
+        const address = classifyUrl(query, {
+            intranetHosts: parseHostList(
+                this.settingsManager.preferences.get("intranetHosts"),
+            ),
+        });
+        if (address) {
             results.push({
                 name: "Open URL",
-                url: query,
+                url: address.url,
                 icon: "🔗",
             });
         }
 
-        results.push(...this.filterSites(query));
-        results.push(...this.settingsManager.getEngineSearchResults(query));
+        const siteResults = this.filterSites(query);
+        const engineResults =
+            this.settingsManager.getEngineSearchResults(query);
+        if (
+            this.settingsManager.preferences.get("resultOrder") ===
+            "engine-first"
+        ) {
+            // Default engine, then sites, then other engines
+            results.push(...engineResults.splice(0, 1));
+        }
+        results.push(...siteResults);
+        results.push(...engineResults);
+        // Past queries last, so Enter keeps searching the typed query
+        results.push(...this.getHistoryResults(query));
         return results;
     }
 
     /**
-     * Filter sites using fuzzy search.
+     * Filter sites using fuzzy search, ranking often and recently opened sites higher.
      * @param {string} query - The search query.
      * @returns {SearchResult[]} Array of matching site objects.
      */
     filterSites(query) {
         const fuseResults = this.fuse.search(query);
-        return fuseResults.map((result) => result.item);
+        const { stats } = this.siteManager;
+        const now = Date.now();
+        const frecencies = fuseResults.map(({ item }) =>
+            stats.getFrecency(item.id, now),
+        );
+        const maxFrecency = Math.max(0, ...frecencies);
+        if (maxFrecency === 0) {
+            return fuseResults.map((result) => result.item);
+        }
+
+        // Fuse scores go from 0 (exact match) to 1 (mismatch)
+        return fuseResults
+            .map(({ item, score }, index) => ({
+                item,
+                rank:
+                    1 -
+                    score +
+                    (FRECENCY_WEIGHT * frecencies[index]) / maxFrecency,
+            }))
+            .sort((a, b) => b.rank - a.rank)
+            .map((result) => result.item);
     }
 
     /**
      * Render search results in the results container.
-     * @param {SearchResult[]} results - Array of result objects to render.
+     * @param {Array<SearchResult|Command>} results - Array of result objects to render.
      */
     renderResults(results) {
         this.resultsContainer.innerHTML = "";
+        this.appendResults(results);
+
+        this.highlightedIndex = 0;
+        this.resultsContainer.hidden = false;
+    }
 
+    /**
+     * Append search results after the rendered ones.
+     * @param {Array<SearchResult|Command>} results - Array of result objects to append.
+     */
+    appendResults(results) {
+        const offset = this.resultsContainer.childElementCount;
         results.forEach((result, index) => {
-            const item = this.createResultItem(result, index);
+            const item = this.createResultItem(result, offset + index);
             this.resultsContainer.appendChild(item);
         });
-
-        this.highlightedIndex = 0;
-        this.resultsContainer.hidden = false;
     }
 
     /**
      * Create a search result item element.
-     * @param {SearchResult} data - The result data object.
+     * Commands are run when clicked, other results are links.
+     * @param {SearchResult|Command} data - The result data object.
      * @param {number} index - The index of this result in the list.
      * @returns {HTMLAnchorElement} The created result item element.
      */
     createResultItem(data, index) {
         const item = document.createElement("a");
         item.className = "search-result-item";
-        item.href = data.url;
-        item.rel = "noopener noreferrer";
+        if (data.run) {
+            item.classList.add("search-result-command");
+        } else {
+            item.href = data.url;
+            item.rel = "noopener noreferrer";
+        }
         item.dataset.index = index;
 
         // Icon
@@ -242,7 +456,9 @@ class SearchManager {
 
         const urlDiv = document.createElement("div");
         urlDiv.className = "result-url";
-        urlDiv.textContent = this.formatUrl(data.url);
+        urlDiv.textContent = data.run
+            ? (data.description ?? "Command")
+            : this.formatUrl(data.url);
 
         infoDiv.appendChild(nameDiv);
         infoDiv.appendChild(urlDiv);
@@ -251,13 +467,52 @@ class SearchManager {
         item.appendChild(infoDiv);
 
         // Click handler to clear search
-        item.addEventListener("click", () => {
+        item.addEventListener("click", (e) => {
+            this.recordQuery(data);
             this.clear();
+            this.recordLaunch(data);
+            if (data.run) {
+                e.preventDefault();
+                try {
+                    data.run();
+                } catch (error) {
+                    console.error(`Error running command ${data.name}:`, error);
+                }
+            }
+        });
+
+        // Middle clicks open the result in a new tab
+        item.addEventListener("auxclick", (e) => {
+            if (e.button === 1) {
+                this.recordQuery(data);
+                this.recordLaunch(data);
+            }
         });
 
         return item;
     }
 
+    /**
+     * Remember the typed query when a site, address or search is opened.
+     * Commands and past queries are not remembered.
+     * @param {SearchResult|Command} data - The result data object.
+     */
+    recordQuery(data) {
+        if (!data.run) {
+            this.history.add(this.input.value);
+        }
+    }
+
+    /**
+     * Count a launch if the result is a site, rather than a search or command.
+     * @param {SearchResult|Command} data - The result data object.
+     */
+    recordLaunch(data) {
+        if (data.id !== undefined) {
+            this.siteManager.stats.record(data.id);
+        }
+    }
+
     /**
      * Format URL for display by extracting hostname.
      * @param {string} url - The full URL.
@@ -292,11 +547,13 @@ class SearchManager {
 
     /** Hide the search results container. */
     hideResults() {
+        this.cancelSuggestions();
         this.resultsContainer.hidden = true;
     }
 
     /** Clear the search input and hide results. */
     clear() {
+        this.historyIndex = -1;
         this.input.value = "";
         this.hideResults();
     }
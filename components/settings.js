@@ -1,5 +1,25 @@
 "use strict";
 import { SearchEngineManager } from "./engine.js";
+import { ImportPreview } from "./import.js";
+import { IconCachePolicyEditor, IconCacheStatus } from "./cache.js";
+import { PreferencesManager } from "./preferences.js";
+import { TimeZoneList } from "./clock.js";
+import { WidgetSettings } from "./widgets.js";
+import { ThemeSettings } from "./theme.js";
+import { ShortcutSettings } from "./keyboard.js";
+import { LaunchStatsView } from "./stats.js";
+import {
+    SCHEMA_VERSION,
+    SchemaError,
+    checkVersion,
+    isPlainObject,
+} from "./schema.js";
+import {
+    BookmarksPreview,
+    isBookmarksFile,
+    parseBookmarks,
+    serializeBookmarks,
+} from "./bookmarks.js";
 
 /** GitHub repository URL */
 const GITHUB_REPO = "https://github.com/PRO-2684/nano-start";
@@ -9,15 +29,91 @@ class SettingsManager extends EventTarget {
     /**
      * Create a new SettingsManager instance.
      * @param {import('./site.js').SiteManager} siteManager - The site manager instance.
+     * @param {import('./storage.js').StorageAdapter} storage - The storage backend.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The loaded user preferences.
+     * @param {import('./icons.js').IconPicker} iconPicker - The dialog for choosing icons.
+     * @param {import('./notes.js').NotesManager} notes - The loaded notes.
+     * @param {import('./history.js').SearchHistory} searchHistory - The loaded search history.
      */
-    constructor(siteManager) {
+    constructor(
+        siteManager,
+        storage,
+        preferences,
+        iconPicker,
+        notes,
+        searchHistory,
+    ) {
         super();
         this.siteManager = siteManager;
         this.dialog = document.getElementById("settings-dialog");
 
         // Initialize search engine manager with the engines container
         const enginesContainer = document.getElementById("search-engines-list");
-        this.engineManager = new SearchEngineManager(enginesContainer);
+        this.engineManager = new SearchEngineManager(
+            enginesContainer,
+            storage,
+            iconPicker,
+        );
+
+        /** Simple preferences configured in the settings dialog. */
+        this.preferences = preferences;
+
+        /** Notes of note widgets, included in backups. */
+        this.notes = notes;
+
+        /** Past queries of the search bar, optionally included in backups. */
+        this.searchHistory = searchHistory;
+
+        // Initialize the dialog for previewing backup imports
+        this.importPreview = new ImportPreview(
+            document.getElementById("import-dialog"),
+        );
+
+        // Initialize the clocks of other time zones in the Clock section
+        this.timeZoneList = new TimeZoneList(
+            document.getElementById("time-zone-settings"),
+            preferences,
+        );
+
+        // Initialize the list of widgets in the Widgets section
+        this.widgetSettings = new WidgetSettings(
+            document.getElementById("widget-settings"),
+            preferences,
+        );
+
+        // Initialize the background and reset of the Theme section
+        this.themeSettings = new ThemeSettings(
+            document.getElementById("theme-settings"),
+            preferences,
+        );
+
+        // Initialize the remappable keys of the Keyboard section
+        this.shortcutSettings = new ShortcutSettings(
+            document.getElementById("shortcut-settings"),
+            preferences,
+        );
+
+        // Initialize the launches per site of the Statistics section
+        this.launchStatsView = new LaunchStatsView(
+            document.getElementById("launch-stats-settings"),
+            siteManager,
+        );
+
+        // Initialize the icon cache status of sites in the Advanced section
+        this.iconCacheStatus = new IconCacheStatus(
+            document.getElementById("icon-cache-details"),
+            siteManager,
+        );
+
+        // Initialize the icon cache limits in the Advanced section
+        this.iconCachePolicy = new IconCachePolicyEditor(
+            document.getElementById("icon-cache-policy"),
+        );
+
+        // Initialize the dialog for picking bookmarks to import
+        this.bookmarksPreview = new BookmarksPreview(
+            document.getElementById("bookmarks-dialog"),
+        );
 
         this.init();
     }
@@ -26,12 +122,13 @@ class SettingsManager extends EventTarget {
     init() {
         this.engineManager.init();
         this.setupEventListeners();
+        this.setupPreferenceInputs();
         this.setupGitHubLinks();
         this.loadVersionInfo();
     }
 
     /**
-     * Get all engines as search results.
+     * Get all engines as search results, with the default engine first.
      * @param {string} query - The search query.
      * @returns {Array<{name: string, url: string, icon: string}>} Array of search result objects.
      */
@@ -39,6 +136,77 @@ class SettingsManager extends EventTarget {
         return this.engineManager.getSearchResults(query);
     }
 
+    /**
+     * Get the search result of the engine whose keyword prefixes the query.
+     * @param {string} query - The search query.
+     * @returns {{name: string, url: string, icon: string}|null} The search result object, or null if no keyword matches.
+     */
+    getKeywordSearchResult(query) {
+        return this.engineManager.getKeywordSearchResult(query);
+    }
+
+    /**
+     * Get the engine to fetch suggestions from and the query to complete.
+     * @param {string} query - The search query.
+     * @returns {{engine: Object, query: string}|null} The engine and query, or null if suggestions are unavailable.
+     */
+    getSuggestionSource(query) {
+        return this.engineManager.getSuggestionSource(query);
+    }
+
+    /**
+     * Create a search result object for a suggestion.
+     * @param {Object} engine - The engine data.
+     * @param {string} suggestion - The suggested query.
+     * @returns {{name: string, url: string, icon: string}} The search result object.
+     */
+    createSuggestionResult(engine, suggestion) {
+        return this.engineManager.createSuggestionResult(engine, suggestion);
+    }
+
+    /**
+     * Bind inputs with a `data-preference` attribute to the preference they name.
+     * Checkboxes are bound to their checked state, number and range inputs to
+     * their numeric value, other inputs to their value.
+     */
+    setupPreferenceInputs() {
+        /**
+         * Get the property of an input holding its preference value.
+         * @param {HTMLInputElement} input - The input.
+         * @returns {string} The property name.
+         */
+        const getProperty = (input) => {
+            if (input.type === "checkbox") return "checked";
+            if (input.type === "number" || input.type === "range") {
+                return "valueAsNumber";
+            }
+            return "value";
+        };
+
+        this.dialog.querySelectorAll("[data-preference]").forEach((input) => {
+            const key = input.dataset.preference;
+            const property = getProperty(input);
+            input[property] = this.preferences.get(key);
+            input.addEventListener("change", () => {
+                const error = PreferencesManager.validate(key, input[property]);
+                if (error) {
+                    alert(error);
+                    input[property] = this.preferences.get(key);
+                    return;
+                }
+                this.preferences.set(key, input[property]);
+            });
+        });
+        // Reflect changes made in other tabs
+        this.preferences.addEventListener("preferencesUpdated", (e) => {
+            this.dialog
+                .querySelectorAll(`[data-preference="${e.detail.key}"]`)
+                .forEach((input) => {
+                    input[getProperty(input)] = e.detail.value;
+                });
+        });
+    }
+
     /** Setup GitHub repository links. */
     setupGitHubLinks() {
         const githubLink = document.getElementById("github-link");
@@ -74,6 +242,7 @@ class SettingsManager extends EventTarget {
             // Update version text and link to GitHub tag
             versionElement.textContent = `Version ${data.version}`;
             versionElement.href = `${GITHUB_REPO}/tree/v${data.version}`;
+            this.renderChangelog(data.changelog ?? []);
         } catch (error) {
             console.error("Error loading version info:", error);
             versionElement.textContent = "Version unknown";
@@ -81,6 +250,28 @@ class SettingsManager extends EventTarget {
         }
     }
 
+    /**
+     * Show the summary of changes in recent versions.
+     * @param {{version: string, changes: string[]}[]} changelog - The changelog, newest first.
+     */
+    renderChangelog(changelog) {
+        const details = document.querySelector(".about-changelog");
+        const container = details.querySelector(".about-changelog-entries");
+        container.innerHTML = "";
+        changelog.forEach(({ version, changes }) => {
+            const heading = document.createElement("h4");
+            heading.textContent = `Version ${version}`;
+            const list = document.createElement("ul");
+            changes.forEach((change) => {
+                const item = document.createElement("li");
+                item.textContent = change;
+                list.appendChild(item);
+            });
+            container.append(heading, list);
+        });
+        details.hidden = changelog.length === 0;
+    }
+
     /** Setup all event listeners for the settings dialog. */
     setupEventListeners() {
         // Open dialog
@@ -109,58 +300,88 @@ class SettingsManager extends EventTarget {
             this.engineManager.addNewItem(),
         );
 
+        // Clear search history
+        const clearHistoryBtn = document.getElementById(
+            "clear-search-history-btn",
+        );
+        clearHistoryBtn?.addEventListener("click", () =>
+            this.clearSearchHistory(),
+        );
+
         // Setup backup and advanced buttons
         this.setupBackupButtons();
         this.setupAdvancedButtons();
     }
 
+    /**
+     * Register the settings commands of the command palette.
+     * @param {import('./commands.js').CommandRegistry} commands - The command registry.
+     */
+    registerCommands(commands) {
+        commands.register(
+            {
+                name: "Open settings",
+                icon: "⚙️",
+                run: () => this.dialog.showModal(),
+            },
+            {
+                name: "Add search engine",
+                icon: "🔍",
+                run: () => {
+                    this.dialog.showModal();
+                    this.engineManager.addNewItem();
+                },
+            },
+            {
+                name: "Export backup",
+                icon: "📤",
+                description: "With the data selected in the settings",
+                run: () => this.exportBackup(),
+            },
+            {
+                name: "Import backup",
+                icon: "📥",
+                run: () => document.getElementById("import-file-input").click(),
+            },
+            {
+                name: "Clear icon cache",
+                icon: "🗑️",
+                run: () => this.clearIconCache(),
+            },
+            {
+                name: "Clear search history",
+                icon: "🕘",
+                run: () => this.clearSearchHistory(),
+            },
+        );
+    }
+
     /** Setup backup-related button listeners (import/export). */
     setupBackupButtons() {
         // Export button
         const exportBtn = document.getElementById("export-btn");
-        exportBtn?.addEventListener("click", () => {
+        exportBtn?.addEventListener("click", () => this.exportBackup());
+
+        // Export bookmarks button
+        const exportBookmarksBtn = document.getElementById(
+            "export-bookmarks-btn",
+        );
+        exportBookmarksBtn?.addEventListener("click", () => {
             try {
-                const backupSitesCheckbox = document.getElementById(
-                    "backup-sites-checkbox",
+                const html = serializeBookmarks(
+                    this.siteManager.exportToJSON(),
+                    this.siteManager.exportGroupsToJSON(),
                 );
-                const backupEnginesCheckbox = document.getElementById(
-                    "backup-engines-checkbox",
+                this.downloadFile(
+                    html,
+                    "text/html",
+                    `nano-start-bookmarks-${new Date().toISOString().split("T")[0]}.html`,
                 );
 
-                const includeSites = backupSitesCheckbox?.checked;
-                const includeEngines = backupEnginesCheckbox?.checked;
-
-                if (!includeSites && !includeEngines) {
-                    alert("Please select at least one item to export.");
-                    return;
-                }
-
-                const exportData = {};
-
-                if (includeSites) {
-                    exportData.sites = this.siteManager.exportToJSON();
-                }
-
-                if (includeEngines) {
-                    exportData.engines = this.engineManager.exportToJSON();
-                }
-
-                const dataStr = JSON.stringify(exportData, null, 2);
-                const blob = new Blob([dataStr], { type: "application/json" });
-                const url = URL.createObjectURL(blob);
-
-                const a = document.createElement("a");
-                a.href = url;
-                a.download = `nano-start-backup-${new Date().toISOString().split("T")[0]}.json`;
-                document.body.appendChild(a);
-                a.click();
-                document.body.removeChild(a);
-                URL.revokeObjectURL(url);
-
-                console.info("Successfully exported backup data.");
+                console.info("Successfully exported bookmarks.");
             } catch (error) {
-                console.error("Error exporting data:", error);
-                alert("Failed to export data.");
+                console.error("Error exporting bookmarks:", error);
+                alert("Failed to export bookmarks.");
             }
         });
 
@@ -178,108 +399,311 @@ class SettingsManager extends EventTarget {
                 if (!file) return;
 
                 const text = await file.text();
+                if (isBookmarksFile(text)) {
+                    e.target.value = ""; // Reset input
+                    await this.importBookmarks(text);
+                    return;
+                }
                 const json = JSON.parse(text);
 
-                if (typeof json !== "object" || json === null) {
+                if (!isPlainObject(json)) {
                     alert("Invalid JSON format. Expected a backup object.");
                     e.target.value = "";
                     return;
                 }
 
+                // Backups from before versioning have no schema version
+                const version = checkVersion(json.schemaVersion ?? 1);
+                if (version > SCHEMA_VERSION) {
+                    alert(
+                        "This backup was created by a newer version of Nano Start. Please update before importing it.",
+                    );
+                    e.target.value = "";
+                    return;
+                }
+
                 const backupSitesCheckbox = document.getElementById(
                     "backup-sites-checkbox",
                 );
                 const backupEnginesCheckbox = document.getElementById(
                     "backup-engines-checkbox",
                 );
+                const backupPreferencesCheckbox = document.getElementById(
+                    "backup-preferences-checkbox",
+                );
+                const backupNotesCheckbox = document.getElementById(
+                    "backup-notes-checkbox",
+                );
+                const backupHistoryCheckbox = document.getElementById(
+                    "backup-history-checkbox",
+                );
 
                 const includeSites = backupSitesCheckbox?.checked;
                 const includeEngines = backupEnginesCheckbox?.checked;
+                const includePreferences = backupPreferencesCheckbox?.checked;
+                const includeNotes = backupNotesCheckbox?.checked;
+                const includeHistory = backupHistoryCheckbox?.checked;
 
-                let sitesImported = 0;
-                let enginesImported = 0;
+                e.target.value = ""; // Reset input
 
-                if (includeSites && json.sites && Array.isArray(json.sites)) {
-                    sitesImported = this.siteManager.importFromJSON(json.sites);
+                const sections = [];
+                if (includeSites && Array.isArray(json.sites)) {
+                    sections.push({
+                        title: "Sites",
+                        noun: "site(s)",
+                        manager: this.siteManager,
+                        diff: this.siteManager.diffImport(json.sites, version),
+                        options: {
+                            groups: Array.isArray(json.groups)
+                                ? json.groups
+                                : undefined,
+                        },
+                    });
+                }
+                if (includeEngines && Array.isArray(json.engines)) {
+                    sections.push({
+                        title: "Search Engines",
+                        noun: "search engine(s)",
+                        manager: this.engineManager,
+                        diff: this.engineManager.diffImport(
+                            json.engines,
+                            version,
+                        ),
+                        options: {},
+                    });
+                }
+                if (includePreferences && isPlainObject(json.preferences)) {
+                    sections.push({
+                        title: "Preferences",
+                        noun: "preference(s)",
+                        manager: this.preferences,
+                        diff: this.preferences.diffImport(json.preferences),
+                        options: {},
+                    });
+                }
+                if (includeNotes && isPlainObject(json.notes)) {
+                    sections.push({
+                        title: "Notes",
+                        noun: "note(s)",
+                        manager: this.notes,
+                        diff: this.notes.diffImport(json.notes),
+                        options: {},
+                    });
+                }
+                if (includeHistory && Array.isArray(json.history)) {
+                    sections.push({
+                        title: "Search History",
+                        noun: "search(es)",
+                        manager: this.searchHistory,
+                        diff: this.searchHistory.diffImport(json.history),
+                        options: {},
+                    });
                 }
 
-                if (
-                    includeEngines &&
-                    json.engines &&
-                    Array.isArray(json.engines)
-                ) {
-                    enginesImported = this.engineManager.importFromJSON(
-                        json.engines,
-                    );
+                if (sections.length === 0) {
+                    alert("No valid data found in the file.");
+                    return;
                 }
 
-                e.target.value = ""; // Reset input
+                const choice = await this.importPreview.review(sections);
+                if (!choice) return; // Cancelled
 
                 const messages = [];
-                if (sitesImported > 0) {
-                    messages.push(`${sitesImported} site(s)`);
-                }
-                if (enginesImported > 0) {
-                    messages.push(`${enginesImported} search engine(s)`);
-                }
+                sections.forEach(({ noun, manager, diff, options }) => {
+                    const importedCount = manager.applyImport(diff, {
+                        ...options,
+                        ...choice,
+                    });
+                    if (importedCount > 0) {
+                        messages.push(`${importedCount} ${noun}`);
+                    }
+                });
 
                 if (messages.length > 0) {
                     console.info(
                         `Successfully imported ${messages.join(" and ")}.`,
                     );
                 } else {
-                    alert(
-                        "No valid data found in the file or all items were duplicates.",
-                    );
+                    console.info("Import finished without changes.");
                 }
             } catch (error) {
                 console.error("Error importing data:", error);
-                alert("Failed to import data. Please check the file format.");
+                if (error instanceof SyntaxError) {
+                    alert("Failed to import data: the file is not valid JSON.");
+                } else if (error instanceof SchemaError) {
+                    alert(`Failed to import data: ${error.message}.`);
+                } else {
+                    alert(
+                        "Failed to import data. Please check the file format.",
+                    );
+                }
                 e.target.value = "";
             }
         });
     }
 
-    /** Setup advanced button listeners (clear cache). */
-    setupAdvancedButtons() {
-        const clearCacheBtn = document.getElementById("clear-cache-btn");
-        clearCacheBtn?.addEventListener("click", async () => {
+    /** Download a backup of the data selected in the Backup section. */
+    exportBackup() {
+        try {
+            const backupSitesCheckbox = document.getElementById(
+                "backup-sites-checkbox",
+            );
+            const backupEnginesCheckbox = document.getElementById(
+                "backup-engines-checkbox",
+            );
+            const backupPreferencesCheckbox = document.getElementById(
+                "backup-preferences-checkbox",
+            );
+            const backupNotesCheckbox = document.getElementById(
+                "backup-notes-checkbox",
+            );
+            const backupHistoryCheckbox = document.getElementById(
+                "backup-history-checkbox",
+            );
+
+            const includeSites = backupSitesCheckbox?.checked;
+            const includeEngines = backupEnginesCheckbox?.checked;
+            const includePreferences = backupPreferencesCheckbox?.checked;
+            const includeNotes = backupNotesCheckbox?.checked;
+            const includeHistory = backupHistoryCheckbox?.checked;
+
             if (
-                !confirm(
-                    "Clear all cached icons? They will be re-downloaded when needed.",
-                )
+                !includeSites &&
+                !includeEngines &&
+                !includePreferences &&
+                !includeNotes &&
+                !includeHistory
             ) {
+                alert("Please select at least one item to export.");
                 return;
             }
 
-            try {
-                console.log("Sending DELETE request to /api/cache/icons...");
-                const response = await fetch("/api/cache/icons", {
-                    method: "DELETE",
-                });
+            const exportData = { schemaVersion: SCHEMA_VERSION };
 
-                if (!response.ok) {
-                    console.error(
-                        `Failed to clear cache: ${response.status} ${response.statusText}`,
-                    );
-                    alert("Failed to clear icon cache.");
-                    return;
-                }
+            if (includeSites) {
+                exportData.sites = this.siteManager.exportToJSON();
+                exportData.groups = this.siteManager.exportGroupsToJSON();
+            }
 
-                const data = await response.json();
-                console.log("Cache cleared response:", data);
+            if (includeEngines) {
+                exportData.engines = this.engineManager.exportToJSON();
+            }
 
-                if (data.success) {
-                    console.info("Icon cache cleared successfully.");
-                } else {
-                    console.warn("Cache clear returned unsuccessful:", data);
-                    alert("Failed to clear icon cache.");
-                }
-            } catch (error) {
-                console.error("Error clearing icon cache:", error);
+            if (includePreferences) {
+                exportData.preferences = this.preferences.exportToJSON();
+            }
+
+            if (includeNotes) {
+                exportData.notes = this.notes.exportToJSON();
+            }
+
+            if (includeHistory) {
+                exportData.history = this.searchHistory.exportToJSON();
+            }
+
+            const dataStr = JSON.stringify(exportData, null, 2);
+            this.downloadFile(
+                dataStr,
+                "application/json",
+                `nano-start-backup-${new Date().toISOString().split("T")[0]}.json`,
+            );
+
+            console.info("Successfully exported backup data.");
+        } catch (error) {
+            console.error("Error exporting data:", error);
+            alert("Failed to export data.");
+        }
+    }
+
+    /**
+     * Let the user pick bookmarks from a bookmark file and import them as sites.
+     * Bookmark folders become site groups.
+     * @param {string} html - The bookmark file content.
+     */
+    async importBookmarks(html) {
+        const root = parseBookmarks(html);
+        const sites = await this.bookmarksPreview.pick(root);
+        if (!sites) return; // Cancelled
+
+        const sitesImported = this.siteManager.importFromJSON(sites);
+        if (sitesImported > 0) {
+            console.info(`Successfully imported ${sitesImported} bookmark(s).`);
+        } else {
+            alert(
+                "No bookmarks imported: none selected or all were duplicates.",
+            );
+        }
+    }
+
+    /**
+     * Let the browser download the given content as a file.
+     * @param {string} content - The file content.
+     * @param {string} type - The MIME type.
+     * @param {string} filename - The file name.
+     */
+    downloadFile(content, type, filename) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement("a");
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /** Setup advanced button listeners (clear cache). */
+    setupAdvancedButtons() {
+        const clearCacheBtn = document.getElementById("clear-cache-btn");
+        clearCacheBtn?.addEventListener("click", () => this.clearIconCache());
+    }
+
+    /** Forget all queries of the search bar, after confirmation. */
+    clearSearchHistory() {
+        if (!confirm("Clear the search history?")) return;
+        this.searchHistory.clear();
+    }
+
+    /** Remove all icons from the service worker cache, after confirmation. */
+    async clearIconCache() {
+        if (
+            !confirm(
+                "Clear all cached icons? They will be re-downloaded when needed.",
+            )
+        ) {
+            return;
+        }
+
+        try {
+            console.log("Sending DELETE request to /api/cache/icons...");
+            const response = await fetch("/api/cache/icons", {
+                method: "DELETE",
+            });
+
+            if (!response.ok) {
+                console.error(
+                    `Failed to clear cache: ${response.status} ${response.statusText}`,
+                );
                 alert("Failed to clear icon cache.");
+                return;
             }
-        });
+
+            const data = await response.json();
+            console.log("Cache cleared response:", data);
+
+            if (data.success) {
+                console.info("Icon cache cleared successfully.");
+                this.iconCacheStatus.update();
+            } else {
+                console.warn("Cache clear returned unsuccessful:", data);
+                alert("Failed to clear icon cache.");
+            }
+        } catch (error) {
+            console.error("Error clearing icon cache:", error);
+            alert("Failed to clear icon cache.");
+        }
     }
 }
 
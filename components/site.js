@@ -1,16 +1,52 @@
 "use strict";
 import { CardManager } from "./card.js";
+import { FaviconResolver } from "./favicon.js";
+import { IconCacheClient, isCachedIcon } from "./cache.js";
+import { isPlainObject, readVersioned, writeVersioned } from "./schema.js";
 
 const STORAGE_KEY = "nano-start-sites";
+const GROUP_STORAGE_KEY = "nano-start-site-groups";
+const DEFAULT_ICON = "🌐";
 
 /** Manages the list of sites, adding, editing, deleting, and rendering. */
 class SiteManager extends CardManager {
     /**
      * Create a new SiteManager instance.
      * @param {HTMLElement} container - The container element for site cards.
+     * @param {import('./storage.js').StorageAdapter} storage - The storage backend.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+     * @param {import('./icons.js').IconPicker} iconPicker - The dialog for choosing icons.
+     * @param {import('./stats.js').LaunchStats} stats - The loaded launch statistics.
      */
-    constructor(container) {
-        super(container, STORAGE_KEY);
+    constructor(container, storage, preferences, iconPicker, stats) {
+        super(container, STORAGE_KEY, storage, iconPicker);
+        this.preferences = preferences;
+        /** How often sites are opened, for the "Most used" order and search ranking. */
+        this.stats = stats;
+        /** Finds icons of sites without one. */
+        this.favicons = new FaviconResolver();
+        /** Downloads cached icons again on request. */
+        this.iconCache = new IconCacheClient();
+        /**
+         * Array of site groups, in display order.
+         * @type {Array<{id: string, name: string, collapsed: boolean}>}
+         */
+        this.groups = [];
+
+        // Dropping onto the container (outside any group) moves sites out of their group
+        this.container.addEventListener("dragover", (e) =>
+            this.handleDragOver(e),
+        );
+        this.container.addEventListener("drop", (e) =>
+            this.handleGroupDrop(e, ""),
+        );
+
+        this.preferences.addEventListener("preferencesUpdated", (e) => {
+            if (e.detail.key === "siteOrder") {
+                this.renderItems();
+            }
+        });
+
         this.init();
     }
 
@@ -22,7 +58,7 @@ class SiteManager extends CardManager {
         return {
             name: "New Site",
             url: "https://example.org/",
-            icon: "🌐",
+            icon: DEFAULT_ICON,
         };
     }
 
@@ -34,6 +70,483 @@ class SiteManager extends CardManager {
         return [];
     }
 
+    /** Load sites and groups from storage. */
+    async loadItems() {
+        await super.loadItems();
+        try {
+            const stored = await this.storage.get(GROUP_STORAGE_KEY);
+            const { value } =
+                stored !== undefined
+                    ? readVersioned(stored, "groups")
+                    : { value: [] };
+            if (!Array.isArray(value)) {
+                throw new TypeError("Stored groups are not an array");
+            }
+            // Drop malformed groups, their sites end up ungrouped
+            this.groups = value.filter(
+                (group) =>
+                    isPlainObject(group) &&
+                    typeof group.id === "string" &&
+                    typeof group.name === "string",
+            );
+        } catch (error) {
+            console.error("Error loading groups from storage:", error);
+            this.groups = [];
+        }
+    }
+
+    /** Save groups to storage in the background. */
+    saveGroups() {
+        this.storage
+            .set(GROUP_STORAGE_KEY, writeVersioned("groups", this.groups))
+            .catch((error) => {
+                console.error("Error saving groups to storage:", error);
+            });
+    }
+
+    /**
+     * Get sites and groups as stored.
+     * @returns {Object<string, *>} The stored values, by storage key.
+     */
+    getStoredValues() {
+        return {
+            ...super.getStoredValues(),
+            [GROUP_STORAGE_KEY]: writeVersioned("groups", this.groups),
+        };
+    }
+
+    /**
+     * Capture sites and groups for undo/redo.
+     * @returns {Object} A deep copy of the state.
+     */
+    getSnapshot() {
+        return { ...super.getSnapshot(), groups: structuredClone(this.groups) };
+    }
+
+    /**
+     * Get sites and groups without their collapsed state, which undo/redo
+     * leaves as is.
+     * @returns {Object} The state.
+     */
+    getHistoryState() {
+        return {
+            ...super.getHistoryState(),
+            groups: this.groups.map(({ id, name }) => ({ id, name })),
+        };
+    }
+
+    /**
+     * Restore sites and groups captured by getSnapshot().
+     * Groups stay collapsed or expanded as they are now.
+     * @param {Object} snapshot - The captured state.
+     */
+    restoreSnapshot(snapshot) {
+        const collapsed = new Map(
+            this.groups.map((group) => [group.id, group.collapsed]),
+        );
+        this.groups = snapshot.groups.map((group) => ({
+            ...group,
+            collapsed: collapsed.get(group.id) ?? group.collapsed,
+        }));
+        super.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Find the group with given name, creating it if it does not exist.
+     * The new group is not persisted until the next save.
+     * @param {string} name - The group name.
+     * @param {boolean} [collapsed] - Initial collapsed state of a new group.
+     * @returns {{id: string, name: string, collapsed: boolean}} The group.
+     */
+    ensureGroup(name, collapsed = false) {
+        let group = this.groups.find((g) => g.name === name);
+        if (!group) {
+            group = {
+                id: `group-${Date.now()}-${this.groups.length}`,
+                name,
+                collapsed,
+            };
+            this.groups.push(group);
+        }
+        return group;
+    }
+
+    /** Prompt for a name and add a new group. */
+    addGroup() {
+        const name = prompt("Enter group name:")?.trim();
+        if (!name) return;
+        if (this.groups.some((g) => g.name === name)) {
+            alert("A group with this name already exists.");
+            return;
+        }
+
+        this.recordHistory(`Add group ${name}`);
+        const group = this.ensureGroup(name);
+        this.saveGroups();
+        this.container.appendChild(this.createGroupSection(group));
+    }
+
+    /**
+     * Prompt for a new name of a group.
+     * @param {string} groupId - The ID of the group to rename.
+     */
+    renameGroup(groupId) {
+        const group = this.groups.find((g) => g.id === groupId);
+        if (!group) return;
+
+        const name = prompt("Enter group name:", group.name)?.trim();
+        if (!name || name === group.name) return;
+        if (this.groups.some((g) => g.name === name)) {
+            alert("A group with this name already exists.");
+            return;
+        }
+
+        this.recordHistory(`Rename group ${group.name}`);
+        group.name = name;
+        this.saveGroups();
+        const nameElement = this.container.querySelector(
+            `.site-group[data-group-id="${groupId}"] .site-group-name`,
+        );
+        if (nameElement) {
+            nameElement.textContent = name;
+        }
+    }
+
+    /**
+     * Delete a group after confirmation. Its sites are kept as ungrouped.
+     * @param {string} groupId - The ID of the group to delete.
+     */
+    deleteGroup(groupId) {
+        const group = this.groups.find((g) => g.id === groupId);
+        if (!group) return;
+        if (
+            !confirm(
+                `Delete group "${group.name}"? Its sites will be kept as ungrouped.`,
+            )
+        ) {
+            return;
+        }
+
+        this.recordHistory(`Delete group ${group.name}`);
+        this.groups = this.groups.filter((g) => g.id !== groupId);
+        this.items.forEach((item) => {
+            if (item.group === groupId) {
+                this.setItemGroup(item, "");
+            }
+        });
+        this.saveItems();
+        this.renderItems();
+    }
+
+    /**
+     * Assign an item to a group.
+     * @param {Object} item - The site data.
+     * @param {string} groupId - The group ID, or an empty string for ungrouped.
+     */
+    setItemGroup(item, groupId) {
+        if (groupId) {
+            item.group = groupId;
+        } else {
+            delete item.group;
+        }
+    }
+
+    /**
+     * Start editing a site, expanding its group if collapsed.
+     * @param {string} itemId - The ID of the site to edit.
+     */
+    startEditing(itemId) {
+        const item = this.items.find((s) => s.id === itemId);
+        const section =
+            item?.group &&
+            this.container.querySelector(
+                `.site-group[data-group-id="${item.group}"]`,
+            );
+        if (section) {
+            section.open = true;
+        }
+        super.startEditing(itemId);
+    }
+
+    /**
+     * Register the site commands of the command palette.
+     * @param {import('./commands.js').CommandRegistry} commands - The command registry.
+     */
+    registerCommands(commands) {
+        commands.register(
+            { name: "Add site", icon: "➕", run: () => this.addNewItem() },
+            { name: "Add group", icon: "📁", run: () => this.addGroup() },
+        );
+        commands.registerProvider(() =>
+            this.items.map((item) => ({
+                name: `Edit site ${item.name}`,
+                icon: item.icon,
+                description: this.formatUrl(item.url),
+                run: () => this.startEditing(item.id),
+            })),
+        );
+    }
+
+    /**
+     * Sites dropped in front of another site join its group.
+     * @param {Object} item - The site being placed.
+     * @param {Object} target - The site it is placed in front of.
+     */
+    placeItemNear(item, target) {
+        this.setItemGroup(item, target?.group ?? "");
+    }
+
+    /**
+     * Get the card list element of a group.
+     * @param {string} groupId - The group ID, or an empty string for ungrouped.
+     * @returns {HTMLElement|null} The list element.
+     */
+    getGroupList(groupId) {
+        return this.container.querySelector(
+            `.site-group-items[data-group-id="${groupId}"]`,
+        );
+    }
+
+    /**
+     * Get the list element of the site's group, falling back to ungrouped.
+     * @param {Object} item - The site data.
+     * @returns {HTMLElement} The element holding the card.
+     */
+    getCardContainer(item) {
+        return (
+            (item.group && this.getGroupList(item.group)) ||
+            this.getGroupList("") ||
+            this.container
+        );
+    }
+
+    /**
+     * Whether sites are shown most used first, which disables reordering them.
+     * @returns {boolean}
+     */
+    get isSortedByUse() {
+        return this.preferences.get("siteOrder") === "most-used";
+    }
+
+    /**
+     * Get the sites in display order: as arranged, or most used first.
+     * @returns {Array<Object>} The sites.
+     */
+    getSortedItems() {
+        if (!this.isSortedByUse) return this.items;
+        const now = Date.now();
+        const frecency = new Map(
+            this.items.map((item) => [
+                item.id,
+                this.stats.getFrecency(item.id, now),
+            ]),
+        );
+        return this.items.toSorted(
+            (a, b) => frecency.get(b.id) - frecency.get(a.id),
+        );
+    }
+
+    /**
+     * Render ungrouped sites followed by all groups.
+     * Sites are not reordered when opened, so the grid stays put until the next render.
+     */
+    renderItems() {
+        this.container.innerHTML = "";
+        this.container.classList.toggle("sorted-by-use", this.isSortedByUse);
+        this.container.appendChild(this.createGroupList(""));
+        this.groups.forEach((group) => {
+            this.container.appendChild(this.createGroupSection(group));
+        });
+        this.getSortedItems().forEach((item) => {
+            const card = this.createCard(item);
+            this.getCardContainer(item).appendChild(card);
+        });
+    }
+
+    /**
+     * Create the card list element of a group.
+     * @param {string} groupId - The group ID, or an empty string for ungrouped.
+     * @returns {HTMLDivElement} The list element.
+     */
+    createGroupList(groupId) {
+        const list = document.createElement("div");
+        list.className = "site-group-items";
+        list.dataset.groupId = groupId;
+        return list;
+    }
+
+    /**
+     * Create a collapsible section for a group.
+     * @param {{id: string, name: string, collapsed: boolean}} group - The group data.
+     * @returns {HTMLDetailsElement} The group section.
+     */
+    createGroupSection(group) {
+        const section = document.createElement("details");
+        section.className = "site-group";
+        section.dataset.groupId = group.id;
+        section.open = !group.collapsed;
+
+        const header = document.createElement("summary");
+        header.className = "site-group-header";
+
+        const name = document.createElement("span");
+        name.className = "site-group-name";
+        name.textContent = group.name;
+        header.appendChild(name);
+
+        const actions = document.createElement("div");
+        actions.className = "site-group-actions";
+        actions.appendChild(
+            this.createGroupButton("+", "Add site to group", () => {
+                section.open = true;
+                this.addNewItem({ group: group.id });
+            }),
+        );
+        actions.appendChild(
+            this.createGroupButton("✎", "Rename group", () =>
+                this.renameGroup(group.id),
+            ),
+        );
+        actions.appendChild(
+            this.createGroupButton("🗑", "Delete group", () =>
+                this.deleteGroup(group.id),
+            ),
+        );
+        header.appendChild(actions);
+
+        section.appendChild(header);
+        section.appendChild(this.createGroupList(group.id));
+
+        section.addEventListener("toggle", () => {
+            // Rendering also toggles the section, which needs no save
+            if (group.collapsed === !section.open) return;
+            group.collapsed = !section.open;
+            this.saveGroups();
+        });
+
+        // Drag and drop onto the group itself (outside of its cards)
+        section.addEventListener("dragover", (e) => this.handleDragOver(e));
+        section.addEventListener("drop", (e) =>
+            this.handleGroupDrop(e, group.id),
+        );
+        section.addEventListener("dragenter", (e) => this.handleDragEnter(e));
+        section.addEventListener("dragleave", (e) => this.handleDragLeave(e));
+
+        return section;
+    }
+
+    /**
+     * Create a button for the group header.
+     * @param {string} label - The button label.
+     * @param {string} title - The button title.
+     * @param {Function} onClick - The click handler.
+     * @returns {HTMLButtonElement} The button.
+     */
+    createGroupButton(label, title, onClick) {
+        const button = document.createElement("button");
+        button.className = "site-group-btn";
+        button.innerHTML = label;
+        button.setAttribute("title", title);
+        button.addEventListener("click", (e) => {
+            // Don't toggle the group
+            e.preventDefault();
+            e.stopPropagation();
+            onClick();
+        });
+        return button;
+    }
+
+    /**
+     * Handle drag end event, also clearing group highlights.
+     * @param {DragEvent} e - The drag event.
+     */
+    handleDragEnd(e) {
+        super.handleDragEnd(e);
+        this.container.querySelectorAll(".site-group").forEach((section) => {
+            section.classList.remove("drag-over");
+        });
+    }
+
+    /**
+     * Handle drop onto a group outside of its cards, appending to the group.
+     * @param {DragEvent} e - The drag event.
+     * @param {string} groupId - The group ID, or an empty string for ungrouped.
+     */
+    handleGroupDrop(e, groupId) {
+        e.preventDefault();
+        e.stopPropagation();
+        e.currentTarget.classList.remove("drag-over");
+
+        const list = this.getGroupList(groupId);
+        if (!list) return;
+
+        switch (CardManager.getDragType(e)) {
+            case "reorder": {
+                const draggedCard = this.draggedElement;
+                if (!draggedCard) return;
+                const index = this.items.findIndex(
+                    (s) => s.id === draggedCard.dataset.id,
+                );
+                if (index === -1) return;
+
+                this.recordHistory(`Move ${this.items[index].name}`);
+                list.appendChild(draggedCard);
+                const movedItem = this.items.splice(index, 1)[0];
+                this.setItemGroup(movedItem, groupId);
+                this.items.push(movedItem);
+                this.saveItems();
+                break;
+            }
+            case "external-link": {
+                const newItem = this.createLinkItem(e);
+                if (!newItem) return;
+                this.recordHistory(`Add ${newItem.name}`);
+                this.setItemGroup(newItem, groupId);
+                this.items.push(newItem);
+                this.saveItems();
+                list.appendChild(this.createCard(newItem));
+                this.handleItemSaved(newItem);
+                break;
+            }
+        }
+    }
+
+    /**
+     * Sites keep their order while shown most used first.
+     * @param {string} itemId - The ID of the site to move.
+     * @param {string} targetId - The ID of the site to place it next to.
+     * @param {boolean} after - Whether to place it after the target rather than before.
+     */
+    moveItem(itemId, targetId, after) {
+        if (this.isSortedByUse) return;
+        super.moveItem(itemId, targetId, after);
+    }
+
+    /**
+     * Create a site card that counts its launches.
+     * @param {Object} item - The site data.
+     * @returns {HTMLAnchorElement} The card element.
+     */
+    createCard(item) {
+        const card = super.createCard(item);
+        card.addEventListener("click", () => this.recordLaunch(card));
+        // Middle clicks open the site in a new tab
+        card.addEventListener("auxclick", (e) => {
+            if (e.button === 1) this.recordLaunch(card);
+        });
+        return card;
+    }
+
+    /**
+     * Count a launch of the site of a card, unless it is being edited.
+     * @param {HTMLElement} card - The site card.
+     */
+    recordLaunch(card) {
+        if (!card.classList.contains("editing")) {
+            this.stats.record(card.dataset.id);
+        }
+    }
+
     /**
      * Override createCardElement to make site cards clickable links.
      * @param {Object} item - The site data.
@@ -47,6 +560,149 @@ class SiteManager extends CardManager {
         return card;
     }
 
+    /**
+     * Check whether a site's icon should be looked up: the user did not choose
+     * it, and it is the default icon or one that was found for another URL.
+     * @param {Object} item - The site data.
+     * @returns {boolean} Whether the icon should be looked up.
+     */
+    needsIcon(item) {
+        return (
+            !item.iconChosen &&
+            (item.icon === DEFAULT_ICON ||
+                (item.autoIconFor !== undefined &&
+                    item.autoIconFor !== item.url))
+        );
+    }
+
+    /**
+     * Look up the icon of a saved site, unless the user chose one.
+     * @param {Object} item - The saved site.
+     */
+    async handleItemSaved(item) {
+        if (!this.needsIcon(item)) return;
+
+        const { id, url } = item;
+        let icon = null;
+        try {
+            icon = await this.favicons.findIcon(
+                url,
+                this.preferences.get("iconService"),
+            );
+        } catch (error) {
+            console.error("Error finding icon:", error);
+        }
+
+        // The site may have changed while looking up its icon
+        const current = this.items.find((s) => s.id === id);
+        if (!current || current.url !== url || !this.needsIcon(current)) {
+            return;
+        }
+        if (!icon && current.autoIconFor === undefined) return;
+
+        this.recordHistory(`Change icon of ${current.name}`);
+        if (icon) {
+            current.icon = icon;
+            current.autoIconFor = url;
+        } else if (current.autoIconFor !== undefined) {
+            // Don't keep the icon of the previous URL
+            current.icon = DEFAULT_ICON;
+            delete current.autoIconFor;
+        }
+        this.saveItems();
+        this.updateIconElement(current);
+    }
+
+    /**
+     * Add a button downloading the site's icon again, shown for cached icons.
+     * @param {Object} item - The site data.
+     * @param {HTMLElement} card - The parent card element.
+     * @returns {HTMLElement} The actions div.
+     */
+    createActionsDiv(item, card) {
+        const actionsDiv = super.createActionsDiv(item, card);
+
+        const refreshBtn = document.createElement("button");
+        refreshBtn.className = "refresh-icon-btn";
+        refreshBtn.innerHTML = "🔄";
+        refreshBtn.setAttribute("title", "Refresh icon");
+        refreshBtn.hidden = !isCachedIcon(item.icon);
+        refreshBtn.addEventListener("click", (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.refreshIcon(card.dataset.id, refreshBtn);
+        });
+        actionsDiv.prepend(refreshBtn);
+
+        return actionsDiv;
+    }
+
+    /**
+     * Show the current icon of a site, and whether it can be refreshed.
+     * @param {Object} item - The site data.
+     */
+    updateIconElement(item) {
+        super.updateIconElement(item);
+        const refreshBtn = this.container.querySelector(
+            `[data-id="${item.id}"] .refresh-icon-btn`,
+        );
+        if (refreshBtn) {
+            refreshBtn.hidden = !isCachedIcon(item.icon);
+        }
+    }
+
+    /**
+     * Download the icon of a site again, replacing its cached copy, and show it.
+     * @param {string} itemId - The ID of the site.
+     * @param {HTMLButtonElement} button - The refresh button, disabled meanwhile.
+     */
+    async refreshIcon(itemId, button) {
+        const item = this.items.find((s) => s.id === itemId);
+        if (!item || !isCachedIcon(item.icon)) return;
+
+        button.disabled = true;
+        try {
+            await this.iconCache.refresh(item.icon);
+            this.updateIconElement(item);
+        } catch (error) {
+            console.error("Error refreshing icon:", error);
+            alert(`Failed to refresh the icon of ${item.name}.`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Sites can always go back to their automatically found icon.
+     * @param {Object} item - The site data.
+     * @returns {boolean} Always true.
+     */
+    canResetIcon(item) {
+        return true;
+    }
+
+    /**
+     * Reset to the default icon, which is replaced by the found one once saved.
+     * @param {Object} item - The site data.
+     */
+    resetItemIcon(item) {
+        item.icon = DEFAULT_ICON;
+        delete item.autoIconFor;
+        delete item.iconChosen;
+    }
+
+    /**
+     * Set the icon chosen by the user, which is no longer looked up automatically,
+     * even if it is the default icon.
+     * @param {Object} item - The site data.
+     * @param {string} icon - The new icon.
+     */
+    setItemIcon(item, icon) {
+        super.setItemIcon(item, icon);
+        delete item.autoIconFor;
+        item.iconChosen = true;
+    }
+
     /**
      * Override URL validation to provide specific error message.
      * @param {string} url - The URL to validate.
@@ -59,6 +715,120 @@ class SiteManager extends CardManager {
         }
         return true;
     }
+
+    /**
+     * Check a site for malformed fields.
+     * @param {Object} item - The site to check.
+     * @returns {string[]} The problems found, empty if the site is valid.
+     */
+    validateItem(item) {
+        const errors = super.validateItem(item);
+        if (item.group !== undefined && typeof item.group !== "string") {
+            errors.push("Group must be text");
+        }
+        if (
+            item.autoIconFor !== undefined &&
+            typeof item.autoIconFor !== "string"
+        ) {
+            errors.push("Icon source must be text");
+        }
+        if (
+            item.iconChosen !== undefined &&
+            typeof item.iconChosen !== "boolean"
+        ) {
+            errors.push("Icon choice must be true or false");
+        }
+        return errors;
+    }
+
+    /**
+     * Export a site with the name of its group, and the source of a discovered
+     * icon or whether the user chose it.
+     * @param {Object} item - The site data.
+     * @returns {Object} The exported site.
+     */
+    serializeItem(item) {
+        const data = super.serializeItem(item);
+        if (item.autoIconFor !== undefined) {
+            data.autoIconFor = item.autoIconFor;
+        }
+        if (item.iconChosen) {
+            data.iconChosen = true;
+        }
+        const group = this.groups.find((g) => g.id === item.group);
+        if (group) {
+            data.group = group.name;
+        }
+        return data;
+    }
+
+    /**
+     * Import a site, creating its group if needed.
+     * @param {Object} itemData - The imported site.
+     * @param {string} [itemId] - ID of the site the entry overwrites, if any.
+     * @returns {Object} The site data.
+     */
+    deserializeItem(itemData, itemId) {
+        const item = super.deserializeItem(itemData, itemId);
+        if (typeof itemData.autoIconFor === "string") {
+            item.autoIconFor = itemData.autoIconFor;
+        }
+        if (itemData.iconChosen === true) {
+            item.iconChosen = true;
+        }
+        if (typeof itemData.group === "string" && itemData.group) {
+            item.group = this.ensureGroup(itemData.group).id;
+        }
+        return item;
+    }
+
+    /**
+     * Apply the entries of a compared import, creating the imported groups
+     * first to keep their order. Replacing all sites also discards current groups.
+     * @param {import('./card.js').ImportDiff} diff - The comparison result from diffImport().
+     * @param {Object} [options] - Import options, see CardManager.applyImport().
+     * @param {Array} [options.groups] - Array of group objects to import.
+     * @returns {number} The number of sites added or overwritten.
+     */
+    importItems(diff, options = {}) {
+        if (options.replace) {
+            this.groups = [];
+        }
+        if (options.groups) {
+            this.importGroupsFromJSON(options.groups);
+        }
+        return super.importItems(diff, options);
+    }
+
+    /**
+     * Export groups to a JSON array object (without IDs).
+     * @returns {Array<{name: string, collapsed: boolean}>} Array of groups.
+     */
+    exportGroupsToJSON() {
+        return this.groups.map(({ name, collapsed }) => ({ name, collapsed }));
+    }
+
+    /**
+     * Import groups from JSON array object, appending missing ones.
+     * @param {Array} groupsData - Array of group objects to import.
+     * @returns {number} The number of groups created.
+     */
+    importGroupsFromJSON(groupsData) {
+        const count = this.groups.length;
+        groupsData.forEach((groupData) => {
+            if (typeof groupData?.name !== "string" || !groupData.name) {
+                return; // Skip invalid entries
+            }
+            this.ensureGroup(groupData.name, Boolean(groupData.collapsed));
+        });
+
+        const createdCount = this.groups.length - count;
+        if (createdCount > 0) {
+            this.saveGroups();
+            this.renderItems();
+        }
+        return createdCount;
+    }
 }
 
 export { SiteManager };
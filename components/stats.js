@@ -0,0 +1,243 @@
+"use strict";
+import { isPlainObject, readVersioned, writeVersioned } from "./schema.js";
+
+const STATS_STORAGE_KEY = "nano-start-launch-stats";
+
+/** Number of recent launches kept per site to estimate how recently it is used. */
+const MAX_RECENT_LAUNCHES = 10;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Weights of launches by age, as in Firefox's frecency: recent launches count more. */
+const RECENCY_WEIGHTS = [
+    { maxAge: 4 * DAY, weight: 100 },
+    { maxAge: 14 * DAY, weight: 70 },
+    { maxAge: 31 * DAY, weight: 50 },
+    { maxAge: 90 * DAY, weight: 30 },
+    { maxAge: Infinity, weight: 10 },
+];
+
+/**
+ * How often and when a site was opened.
+ * @typedef {Object} SiteLaunches
+ * @property {number} count - Number of launches.
+ * @property {number[]} recent - Times of the latest launches, oldest first.
+ */
+
+/**
+ * Check stored launches of a site.
+ * @param {*} entry - The stored entry.
+ * @returns {boolean} Whether the entry is well-formed.
+ */
+function isValidEntry(entry) {
+    return (
+        isPlainObject(entry) &&
+        Number.isInteger(entry.count) &&
+        entry.count > 0 &&
+        Array.isArray(entry.recent) &&
+        entry.recent.every(Number.isFinite)
+    );
+}
+
+/**
+ * Counts how often sites are opened, locally, to rank them by frecency
+ * (frequency and recency).
+ */
+class LaunchStats extends EventTarget {
+    /**
+     * Create a new LaunchStats instance.
+     * Statistics are empty until load() completes.
+     * @param {import('./storage.js').StorageAdapter} storage - The storage backend.
+     */
+    constructor(storage) {
+        super();
+        this.storage = storage;
+        /**
+         * Launches, by site ID.
+         * @type {Object<string, SiteLaunches>}
+         */
+        this.launches = {};
+
+        // Keep in sync with changes made in other tabs
+        this.storage.addEventListener("change", (e) =>
+            this.handleStorageChange(e),
+        );
+    }
+
+    /**
+     * Reload statistics changed by another tab and dispatch update event.
+     * @param {CustomEvent} e - The change event of the storage backend.
+     */
+    async handleStorageChange(e) {
+        const { key } = e.detail;
+        if (key !== null && key !== STATS_STORAGE_KEY) return;
+
+        await this.load();
+        this.dispatchEvent(new CustomEvent("statsUpdated"));
+    }
+
+    /** Load statistics from storage, dropping malformed entries. */
+    async load() {
+        try {
+            const stored = await this.storage.get(STATS_STORAGE_KEY);
+            const { value } = readVersioned(stored, "stats");
+            this.launches = Object.fromEntries(
+                Object.entries(isPlainObject(value) ? value : {}).filter(
+                    ([, entry]) => isValidEntry(entry),
+                ),
+            );
+        } catch (error) {
+            console.error(
+                "Error loading launch statistics from storage:",
+                error,
+            );
+        }
+    }
+
+    /** Save statistics to storage in the background. */
+    save() {
+        this.storage
+            .set(STATS_STORAGE_KEY, writeVersioned("stats", this.launches))
+            .catch((error) => {
+                console.error(
+                    "Error saving launch statistics to storage:",
+                    error,
+                );
+            });
+    }
+
+    /**
+     * Get the launches of a site.
+     * @param {string} siteId - The site ID.
+     * @returns {SiteLaunches|undefined} The launches, if the site was opened.
+     */
+    get(siteId) {
+        return this.launches[siteId];
+    }
+
+    /**
+     * Count a launch of a site, save and dispatch update event.
+     * @param {string} siteId - The site ID.
+     * @param {number} [time] - The launch time, in milliseconds since the epoch.
+     */
+    record(siteId, time = Date.now()) {
+        const { count = 0, recent = [] } = this.get(siteId) ?? {};
+        this.launches = {
+            ...this.launches,
+            [siteId]: {
+                count: count + 1,
+                recent: [...recent, time].slice(-MAX_RECENT_LAUNCHES),
+            },
+        };
+        this.save();
+        this.dispatchEvent(new CustomEvent("statsUpdated"));
+    }
+
+    /**
+     * Get the frecency of a site: its launch count, weighted by the age
+     * of its latest launches.
+     * @param {string} siteId - The site ID.
+     * @param {number} [now] - The current time, in milliseconds since the epoch.
+     * @returns {number} The frecency, 0 if the site was never opened.
+     */
+    getFrecency(siteId, now = Date.now()) {
+        const entry = this.get(siteId);
+        if (!entry?.recent.length) return 0;
+
+        const total = entry.recent.reduce(
+            (sum, time) =>
+                sum +
+                RECENCY_WEIGHTS.find(({ maxAge }) => now - time < maxAge)
+                    .weight,
+            0,
+        );
+        // The latest launches stand for all of them
+        return (total / entry.recent.length) * entry.count;
+    }
+
+    /** Forget all launches, save and dispatch update event. */
+    clear() {
+        this.launches = {};
+        this.save();
+        this.dispatchEvent(new CustomEvent("statsUpdated"));
+    }
+}
+
+/** Shows how often each site was opened in the settings dialog. */
+class LaunchStatsView {
+    /**
+     * Create a new LaunchStatsView instance.
+     * @param {HTMLElement} container - The settings section holding the list and clear button.
+     * @param {import('./site.js').SiteManager} siteManager - The site manager instance.
+     */
+    constructor(container, siteManager) {
+        this.details = container.querySelector(".launch-stats-details");
+        this.list = container.querySelector(".launch-stats-list");
+        this.siteManager = siteManager;
+        this.stats = siteManager.stats;
+
+        // Only render the list when it is shown
+        this.details.addEventListener("toggle", () => this.update());
+        this.stats.addEventListener("statsUpdated", () => this.update());
+        container
+            .querySelector(".launch-stats-clear-btn")
+            .addEventListener("click", () => this.clear());
+    }
+
+    /** Render the list again if it is shown: opened sites, most opened first. */
+    update() {
+        if (!this.details.open) return;
+
+        const opened = this.siteManager.items
+            .filter((site) => this.stats.get(site.id))
+            .sort(
+                (a, b) =>
+                    this.stats.get(b.id).count - this.stats.get(a.id).count,
+            );
+        this.list.innerHTML = "";
+        if (opened.length === 0) {
+            const row = document.createElement("li");
+            row.textContent = "No sites opened yet.";
+            this.list.appendChild(row);
+            return;
+        }
+        opened.forEach((site) => {
+            this.list.appendChild(this.createRow(site));
+        });
+    }
+
+    /**
+     * Create the list row of a site.
+     * @param {Object} site - The site data.
+     * @returns {HTMLLIElement} The row element.
+     */
+    createRow(site) {
+        const { count, recent } = this.stats.get(site.id);
+        const row = document.createElement("li");
+        row.className = "launch-stats-entry";
+
+        const name = document.createElement("span");
+        name.className = "launch-stats-name";
+        name.textContent = site.name;
+        name.title = site.url;
+
+        const info = document.createElement("span");
+        info.className = "launch-stats-info";
+        const details = [`${count} ${count === 1 ? "launch" : "launches"}`];
+        if (recent.length > 0) {
+            details.push(`last ${new Date(recent.at(-1)).toLocaleString()}`);
+        }
+        info.textContent = details.join(" · ");
+
+        row.append(name, info);
+        return row;
+    }
+
+    /** Forget all launches, after confirmation. */
+    clear() {
+        if (!confirm("Clear the launch statistics of all sites?")) return;
+        this.stats.clear();
+    }
+}
+
+export { LaunchStats, LaunchStatsView };
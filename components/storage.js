@@ -0,0 +1,214 @@
+"use strict";
+
+/** Name of the IndexedDB database, also read by the service worker. */
+const DB_NAME = "nano-start";
+/** Version of the IndexedDB database. */
+const DB_VERSION = 1;
+/** Name of the key-value object store holding all data. */
+const STORE_NAME = "data";
+/** Name of the BroadcastChannel notifying other tabs of changes. */
+const CHANNEL_NAME = "nano-start-storage";
+
+/**
+ * Interface of storage backends. Values are plain JSON-compatible data.
+ * Backends dispatch a "change" event with `detail.key` when another tab
+ * changes a key, or with a null key when everything may have changed.
+ * @interface StorageAdapter
+ * @extends EventTarget
+ */
+
+/**
+ * Get the value stored under a key.
+ * @function
+ * @name StorageAdapter#get
+ * @param {string} key - The key.
+ * @returns {Promise<*>} The value, or undefined if there is none.
+ */
+
+/**
+ * Store a value under a key.
+ * @function
+ * @name StorageAdapter#set
+ * @param {string} key - The key.
+ * @param {*} value - The value.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Store several values at once, notifying other tabs once for all of them.
+ * @function
+ * @name StorageAdapter#setMany
+ * @param {Object<string, *>} values - The values, by key.
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Wrap an IndexedDB request in a Promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} The request result.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Storage backed by localStorage, used where IndexedDB is unavailable.
+ * @implements {StorageAdapter}
+ */
+class LocalStorageAdapter extends EventTarget {
+    /** Create a new LocalStorageAdapter instance. */
+    constructor() {
+        super();
+        window.addEventListener("storage", (e) => {
+            if (e.storageArea !== localStorage) return;
+            this.dispatchEvent(
+                new CustomEvent("change", { detail: { key: e.key } }),
+            );
+        });
+    }
+
+    /**
+     * Get the value stored under a key.
+     * @param {string} key - The key.
+     * @returns {Promise<*>} The value, or undefined if there is none.
+     */
+    async get(key) {
+        const stored = localStorage.getItem(key);
+        return stored === null ? undefined : JSON.parse(stored);
+    }
+
+    /**
+     * Store a value under a key.
+     * @param {string} key - The key.
+     * @param {*} value - The value.
+     */
+    async set(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    }
+
+    /**
+     * Store several values at once.
+     * Other tabs are notified of each key by their own storage event.
+     * @param {Object<string, *>} values - The values, by key.
+     */
+    async setMany(values) {
+        Object.entries(values).forEach(([key, value]) => {
+            localStorage.setItem(key, JSON.stringify(value));
+        });
+    }
+}
+
+/**
+ * Storage backed by IndexedDB. Data found in localStorage (from earlier
+ * versions, or from the fallback backend) is moved over on first read.
+ * @implements {StorageAdapter}
+ */
+class IndexedDBAdapter extends EventTarget {
+    /**
+     * Create a new IndexedDBAdapter instance.
+     * @param {IDBDatabase} db - The opened database.
+     */
+    constructor(db) {
+        super();
+        this.db = db;
+        this.channel = new BroadcastChannel(CHANNEL_NAME);
+        this.channel.addEventListener("message", (e) => {
+            // Tabs still running an older version send a single key
+            (e.data.keys ?? [e.data.key]).forEach((key) => {
+                this.dispatchEvent(
+                    new CustomEvent("change", { detail: { key } }),
+                );
+            });
+        });
+    }
+
+    /**
+     * Open the database, creating its object store if needed.
+     * @returns {Promise<IndexedDBAdapter>} The adapter.
+     * @throws {Error} If IndexedDB is unavailable (e.g. in some private modes).
+     */
+    static async open() {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME);
+        };
+        return new IndexedDBAdapter(await promisifyRequest(request));
+    }
+
+    /**
+     * Get the value stored under a key, moving it over from localStorage if needed.
+     * @param {string} key - The key.
+     * @returns {Promise<*>} The value, or undefined if there is none.
+     */
+    async get(key) {
+        const value = await promisifyRequest(
+            this.db.transaction(STORE_NAME).objectStore(STORE_NAME).get(key),
+        );
+        if (value !== undefined) return value;
+        return this.migrateFromLocalStorage(key);
+    }
+
+    /**
+     * Store a value under a key and notify other tabs.
+     * @param {string} key - The key.
+     * @param {*} value - The value.
+     */
+    async set(key, value) {
+        await this.setMany({ [key]: value });
+    }
+
+    /**
+     * Store several values in one transaction and notify other tabs once.
+     * @param {Object<string, *>} values - The values, by key.
+     */
+    async setMany(values) {
+        const transaction = this.db.transaction(STORE_NAME, "readwrite");
+        const store = transaction.objectStore(STORE_NAME);
+        Object.entries(values).forEach(([key, value]) => {
+            store.put(value, key);
+        });
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+        this.channel.postMessage({ keys: Object.keys(values) });
+    }
+
+    /**
+     * Move the value of a key from localStorage into the database.
+     * @param {string} key - The key.
+     * @returns {Promise<*>} The moved value, or undefined if there is none.
+     */
+    async migrateFromLocalStorage(key) {
+        const stored = localStorage.getItem(key);
+        if (stored === null) return undefined;
+
+        const value = JSON.parse(stored);
+        await this.set(key, value);
+        localStorage.removeItem(key);
+        console.log(`Moved ${key} from localStorage to IndexedDB`);
+        return value;
+    }
+}
+
+/**
+ * Open the storage backend: IndexedDB if available, localStorage otherwise.
+ * @returns {Promise<StorageAdapter>} The storage adapter.
+ */
+async function openStorage() {
+    try {
+        return await IndexedDBAdapter.open();
+    } catch (error) {
+        console.warn(
+            "IndexedDB is unavailable, falling back to localStorage:",
+            error,
+        );
+        return new LocalStorageAdapter();
+    }
+}
+
+export { IndexedDBAdapter, LocalStorageAdapter, openStorage };
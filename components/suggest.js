@@ -0,0 +1,83 @@
+"use strict";
+
+/**
+ * Fetches search suggestions from OpenSearch-style suggestion endpoints.
+ * The endpoint is given as a URL template with a `{query}` placeholder, and
+ * responds with JSON in the form `[query, [suggestion, ...], ...]`.
+ */
+class SuggestionProvider {
+    /**
+     * Create a new SuggestionProvider instance.
+     * @param {Object} [options] - Provider options.
+     * @param {typeof fetch} [options.fetch] - The fetch implementation to use.
+     * @param {number} [options.timeout] - Request timeout in milliseconds.
+     * @param {number} [options.limit] - Maximum number of suggestions returned.
+     */
+    constructor({
+        fetch = globalThis.fetch.bind(globalThis),
+        timeout = 3000,
+        limit = 5,
+    } = {}) {
+        this.fetch = fetch;
+        this.timeout = timeout;
+        this.limit = limit;
+    }
+
+    /**
+     * Build the request URL from a suggestion URL template.
+     * @param {string} template - The URL template with a `{query}` placeholder.
+     * @param {string} query - The query to complete.
+     * @returns {string} The request URL.
+     */
+    static buildUrl(template, query) {
+        return template.replace("{query}", encodeURIComponent(query));
+    }
+
+    /**
+     * Extract suggestions from a parsed response body.
+     * @param {*} body - The parsed JSON body.
+     * @returns {string[]} The suggestions, or an empty array if the body is malformed.
+     */
+    static parseResponse(body) {
+        if (!Array.isArray(body) || !Array.isArray(body[1])) {
+            return [];
+        }
+        return body[1].filter(
+            (suggestion) => typeof suggestion === "string" && suggestion,
+        );
+    }
+
+    /**
+     * Fetch suggestions for a query.
+     * Suggestions equal to the query itself are left out.
+     * @param {string} template - The URL template with a `{query}` placeholder.
+     * @param {string} query - The query to complete.
+     * @param {AbortSignal} [signal] - Signal to abort the request.
+     * @returns {Promise<string[]>} The suggestions.
+     * @throws {Error} If the request fails, times out or is aborted.
+     */
+    async getSuggestions(template, query, signal) {
+        const timeoutSignal = AbortSignal.timeout(this.timeout);
+        const response = await this.fetch(
+            SuggestionProvider.buildUrl(template, query),
+            {
+                signal: signal
+                    ? AbortSignal.any([signal, timeoutSignal])
+                    : timeoutSignal,
+            },
+        );
+
+        if (!response.ok) {
+            throw new Error(
+                `Failed to fetch suggestions: ${response.status} ${response.statusText}`,
+            );
+        }
+
+        const normalized = query.trim().toLowerCase();
+        return SuggestionProvider.parseResponse(await response.json())
+            .filter((suggestion) => suggestion.toLowerCase() !== normalized)
+            .slice(0, this.limit);
+    }
+}
+
+export { SuggestionProvider };
@@ -0,0 +1,152 @@
+"use strict";
+// Run with `node --test components/`
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import { SuggestionProvider } from "./suggest.js";
+
+/**
+ * Stub suggestion endpoint. The path picks the response:
+ * /suggest answers with the query and suggestions made from it,
+ * /malformed with an object, /error with a 503, and /slow never answers.
+ */
+const server = createServer((request, response) => {
+    const url = new URL(request.url, "http://localhost");
+    const query = url.searchParams.get("q") ?? "";
+    switch (url.pathname) {
+        case "/suggest":
+            response.setHeader("Content-Type", "application/json");
+            response.end(
+                JSON.stringify([
+                    query,
+                    [
+                        query.toUpperCase(),
+                        ...[1, 2, 3, 4, 5, 6].map((n) => `${query} ${n}`),
+                    ],
+                ]),
+            );
+            break;
+        case "/malformed":
+            response.setHeader("Content-Type", "application/json");
+            response.end(JSON.stringify({ suggestions: [query] }));
+            break;
+        case "/error":
+            response.writeHead(503, "Service Unavailable");
+            response.end();
+            break;
+        case "/slow":
+            // Left open until the client gives up
+            break;
+        default:
+            response.writeHead(404);
+            response.end();
+    }
+});
+
+/** Base URL of the stub server, set once it listens. */
+let baseUrl;
+
+before(async () => {
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+describe("SuggestionProvider.buildUrl", () => {
+    it("encodes the query into the placeholder", () => {
+        assert.equal(
+            SuggestionProvider.buildUrl("https://x/s?q={query}", "a b&c"),
+            "https://x/s?q=a%20b%26c",
+        );
+    });
+});
+
+describe("SuggestionProvider.parseResponse", () => {
+    it("returns the suggestions of an OpenSearch response", () => {
+        assert.deepEqual(
+            SuggestionProvider.parseResponse(["q", ["q1", "q2"], [], []]),
+            ["q1", "q2"],
+        );
+    });
+
+    it("drops empty and non-text suggestions", () => {
+        assert.deepEqual(
+            SuggestionProvider.parseResponse(["q", ["q1", "", 2, null, "q2"]]),
+            ["q1", "q2"],
+        );
+    });
+
+    it("returns nothing for malformed bodies", () => {
+        assert.deepEqual(SuggestionProvider.parseResponse(null), []);
+        assert.deepEqual(SuggestionProvider.parseResponse({}), []);
+        assert.deepEqual(SuggestionProvider.parseResponse(["q", "q1"]), []);
+    });
+});
+
+describe("SuggestionProvider.getSuggestions", () => {
+    it("fetches suggestions, leaving out the query itself", async () => {
+        const provider = new SuggestionProvider({ limit: 10 });
+        const suggestions = await provider.getSuggestions(
+            `${baseUrl}/suggest?q={query}`,
+            "foo",
+        );
+        assert.deepEqual(suggestions, [
+            "foo 1",
+            "foo 2",
+            "foo 3",
+            "foo 4",
+            "foo 5",
+            "foo 6",
+        ]);
+    });
+
+    it("returns at most the limit", async () => {
+        const provider = new SuggestionProvider({ limit: 2 });
+        const suggestions = await provider.getSuggestions(
+            `${baseUrl}/suggest?q={query}`,
+            "foo",
+        );
+        assert.deepEqual(suggestions, ["foo 1", "foo 2"]);
+    });
+
+    it("returns nothing for a malformed response", async () => {
+        const provider = new SuggestionProvider();
+        const suggestions = await provider.getSuggestions(
+            `${baseUrl}/malformed?q={query}`,
+            "foo",
+        );
+        assert.deepEqual(suggestions, []);
+    });
+
+    it("rejects responses that are not OK", async () => {
+        const provider = new SuggestionProvider();
+        await assert.rejects(
+            provider.getSuggestions(`${baseUrl}/error?q={query}`, "foo"),
+            /503 Service Unavailable/,
+        );
+    });
+
+    it("rejects when the server takes too long", async () => {
+        const provider = new SuggestionProvider({ timeout: 50 });
+        await assert.rejects(
+            provider.getSuggestions(`${baseUrl}/slow?q={query}`, "foo"),
+            { name: "TimeoutError" },
+        );
+    });
+
+    it("rejects when aborted", async () => {
+        const provider = new SuggestionProvider();
+        const controller = new AbortController();
+        const pending = provider.getSuggestions(
+            `${baseUrl}/slow?q={query}`,
+            "foo",
+            controller.signal,
+        );
+        controller.abort();
+        await assert.rejects(pending, { name: "AbortError" });
+    });
+});
@@ -0,0 +1,212 @@
+"use strict";
+import { downscaleImage } from "./icons.js";
+
+/** Preferences affecting the theme. */
+const THEME_PREFERENCES = [
+    "themeMode",
+    "themeAccent",
+    "themeCardSize",
+    "themeCardRadius",
+    "themeBackground",
+];
+
+/** Maximum width and height in pixels of uploaded background images. */
+const BACKGROUND_SIZE = 1920;
+
+/**
+ * Check a page background: empty, a CSS gradient, or an image data URL.
+ * @param {string} value - The background.
+ * @returns {boolean} Whether the background is valid.
+ */
+function isValidBackground(value) {
+    if (value === "" || /^data:image\/[\w+.-]+;base64,[\w+/=]+$/.test(value)) {
+        return true;
+    }
+    return (
+        /^(repeating-)?(linear|radial|conic)-gradient\(/.test(value) &&
+        CSS.supports("background-image", value)
+    );
+}
+
+/** Applies the theme preferences as CSS custom properties of the page. */
+class ThemeManager {
+    /**
+     * Create a new ThemeManager instance and apply the theme.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+     */
+    constructor(preferences) {
+        this.preferences = preferences;
+        this.root = document.documentElement;
+        this.themeColorMeta = document.querySelector(
+            'meta[name="theme-color"]',
+        );
+        /** Whether the system prefers dark colors, followed by the automatic mode. */
+        this.darkQuery = window.matchMedia("(prefers-color-scheme: dark)");
+
+        this.preferences.addEventListener("preferencesUpdated", (e) => {
+            if (THEME_PREFERENCES.includes(e.detail.key)) this.apply();
+        });
+        // The automatic mode follows the system
+        this.darkQuery.addEventListener("change", () =>
+            this.updateThemeColor(),
+        );
+        // The body fades to a new background, so its color is only final afterwards
+        document.body.addEventListener("transitionend", (e) => {
+            if (
+                e.target === document.body &&
+                e.propertyName === "background-color"
+            ) {
+                this.updateThemeColor();
+            }
+        });
+
+        this.apply();
+    }
+
+    /** Apply the theme preferences to the page. */
+    apply() {
+        const mode = this.preferences.get("themeMode");
+        const style = this.root.style;
+        // Colors are defined with light-dark(), so the scheme picks them
+        style.colorScheme = mode === "auto" ? "light dark" : mode;
+        style.setProperty(
+            "--accent-color",
+            this.preferences.get("themeAccent"),
+        );
+        style.setProperty(
+            "--card-scale",
+            String(this.preferences.get("themeCardSize") / 100),
+        );
+        style.setProperty(
+            "--card-radius",
+            `${this.preferences.get("themeCardRadius")}px`,
+        );
+
+        const background = this.preferences.get("themeBackground");
+        if (!background) {
+            style.removeProperty("--bg-image");
+        } else if (background.startsWith("data:")) {
+            style.setProperty("--bg-image", `url("${background}")`);
+        } else {
+            style.setProperty("--bg-image", background);
+        }
+
+        this.updateThemeColor();
+    }
+
+    /** Switch between the light and dark mode, leaving the automatic mode. */
+    toggleMode() {
+        const mode = this.preferences.get("themeMode");
+        const dark =
+            mode === "dark" || (mode === "auto" && this.darkQuery.matches);
+        this.preferences.set("themeMode", dark ? "light" : "dark");
+    }
+
+    /**
+     * Register the theme commands of the command palette.
+     * @param {import('./commands.js').CommandRegistry} commands - The command registry.
+     */
+    registerCommands(commands) {
+        commands.register({
+            name: "Toggle theme",
+            icon: "🌓",
+            description: "Switch between light and dark mode",
+            run: () => this.toggleMode(),
+        });
+    }
+
+    /**
+     * Match the browser UI color to the page background.
+     * While the background fades, this is the color it fades from; it is
+     * updated again once the transition ends.
+     */
+    updateThemeColor() {
+        this.themeColorMeta?.setAttribute(
+            "content",
+            getComputedStyle(document.body).backgroundColor,
+        );
+    }
+}
+
+/**
+ * Edits the page background in the settings dialog. Other theme preferences
+ * are plain `data-preference` inputs.
+ */
+class ThemeSettings {
+    /**
+     * Create a new ThemeSettings instance.
+     * @param {HTMLElement} container - The element holding the theme inputs.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+     */
+    constructor(container, preferences) {
+        this.uploadInput = container.querySelector(".theme-background-upload");
+        this.gradientInput = container.querySelector(".theme-gradient-input");
+        this.preferences = preferences;
+
+        this.uploadInput.addEventListener("change", () => this.handleUpload());
+        this.gradientInput.addEventListener("change", () =>
+            this.applyGradient(),
+        );
+        container
+            .querySelector(".theme-background-clear-btn")
+            .addEventListener("click", () =>
+                this.preferences.set("themeBackground", ""),
+            );
+        container
+            .querySelector(".theme-reset-btn")
+            .addEventListener("click", () => this.reset());
+        this.preferences.addEventListener("preferencesUpdated", (e) => {
+            if (e.detail.key === "themeBackground") this.render();
+        });
+        this.render();
+    }
+
+    /** Show the current gradient, if the background is one. */
+    render() {
+        const background = this.preferences.get("themeBackground");
+        this.gradientInput.value = background.startsWith("data:")
+            ? ""
+            : background;
+    }
+
+    /** Use the uploaded image, downscaled, as background. */
+    async handleUpload() {
+        const file = this.uploadInput.files[0];
+        if (!file) return;
+        try {
+            this.preferences.set(
+                "themeBackground",
+                await downscaleImage(file, {
+                    maxSize: BACKGROUND_SIZE,
+                    type: "image/jpeg",
+                    quality: 0.85,
+                }),
+            );
+        } catch (error) {
+            console.error("Error reading background image:", error);
+            alert("Could not read the image. Please choose another file.");
+        }
+        this.uploadInput.value = "";
+    }
+
+    /** Use the entered gradient as background. */
+    applyGradient() {
+        const gradient = this.gradientInput.value.trim();
+        if (!isValidBackground(gradient)) {
+            alert(
+                "Please enter a CSS gradient, e.g. linear-gradient(135deg, #667eea, #764ba2).",
+            );
+            this.render();
+            return;
+        }
+        this.preferences.set("themeBackground", gradient);
+    }
+
+    /** Restore the default theme, after confirmation. */
+    reset() {
+        if (!confirm("Restore the default theme?")) return;
+        THEME_PREFERENCES.forEach((key) => this.preferences.reset(key));
+    }
+}
+
+export { ThemeManager, ThemeSettings, isValidBackground };
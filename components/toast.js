@@ -0,0 +1,66 @@
+"use strict";
+
+/** How long a toast stays visible, in milliseconds. */
+const TOAST_DURATION = 5000;
+
+/**
+ * The toast currently shown, if any.
+ * @type {{element: HTMLElement, timeoutId: number}|null}
+ */
+let currentToast = null;
+
+/** Remove the toast currently shown, if any. */
+function hideToast() {
+    if (!currentToast) return;
+    clearTimeout(currentToast.timeoutId);
+    currentToast.element.remove();
+    currentToast = null;
+}
+
+/**
+ * Show a transient message, replacing any toast currently shown.
+ * @param {string} message - The message.
+ * @param {Object} [options] - Toast options.
+ * @param {string} [options.actionLabel] - Label of the action button, if any.
+ * @param {Function} [options.onAction] - Called when the action button is clicked.
+ * @param {HTMLElement} [options.host] - Element to show the toast in (e.g. an open modal dialog).
+ * @param {number} [options.duration] - How long the toast stays visible, in milliseconds.
+ */
+function showToast(
+    message,
+    {
+        actionLabel,
+        onAction,
+        host = document.body,
+        duration = TOAST_DURATION,
+    } = {},
+) {
+    hideToast();
+
+    const element = document.createElement("div");
+    element.className = "toast";
+    element.setAttribute("role", "status");
+
+    const text = document.createElement("span");
+    text.textContent = message;
+    element.appendChild(text);
+
+    if (actionLabel) {
+        const button = document.createElement("button");
+        button.className = "toast-action-btn";
+        button.textContent = actionLabel;
+        button.addEventListener("click", () => {
+            hideToast();
+            onAction?.();
+        });
+        element.appendChild(button);
+    }
+
+    host.appendChild(element);
+    currentToast = {
+        element,
+        timeoutId: setTimeout(hideToast, duration),
+    };
+}
+
+export { showToast, hideToast };
@@ -0,0 +1,87 @@
+"use strict";
+
+/**
+ * Notifies of new service worker versions. A new version waits until the
+ * user chooses to reload, so open tabs never run old code against new assets.
+ */
+class UpdateNotifier {
+    /**
+     * Create a new UpdateNotifier instance.
+     * @param {HTMLElement} banner - The banner shown when an update is available.
+     */
+    constructor(banner) {
+        this.banner = banner;
+        /**
+         * The installed worker waiting to take over, if any.
+         * @type {ServiceWorker|null}
+         */
+        this.waiting = null;
+        /** Whether the user asked to reload into the new version. */
+        this.reloading = false;
+
+        banner
+            .querySelector(".update-reload-btn")
+            .addEventListener("click", () => this.applyUpdate());
+        banner
+            .querySelector(".update-dismiss-btn")
+            .addEventListener("click", () => (this.banner.hidden = true));
+
+        // Reload once the new worker controls the page, but not when the
+        // first worker ever installed claims it
+        navigator.serviceWorker.addEventListener("controllerchange", () => {
+            if (this.reloading) {
+                window.location.reload();
+            } else if (this.waiting) {
+                // Activated from another tab, so this one runs outdated code
+                this.banner.hidden = false;
+            }
+        });
+    }
+
+    /**
+     * Watch a registration for new workers.
+     * @param {ServiceWorkerRegistration} registration - The service worker registration.
+     */
+    watch(registration) {
+        // Installed while a previous tab was open
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.show(registration.waiting);
+        }
+
+        registration.addEventListener("updatefound", () => {
+            const worker = registration.installing;
+            worker?.addEventListener("statechange", () => {
+                // Without a controller, this is the first install, not an update
+                if (
+                    worker.state === "installed" &&
+                    navigator.serviceWorker.controller
+                ) {
+                    this.show(worker);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show the banner for a waiting worker.
+     * @param {ServiceWorker} worker - The waiting worker.
+     */
+    show(worker) {
+        this.waiting = worker;
+        this.banner.hidden = false;
+    }
+
+    /** Activate the waiting worker; the page reloads once it takes control. */
+    applyUpdate() {
+        if (!this.waiting) return;
+        this.reloading = true;
+        if (this.waiting.state === "activated") {
+            // Already activated from another tab
+            window.location.reload();
+        } else {
+            this.waiting.postMessage({ type: "SKIP_WAITING" });
+        }
+    }
+}
+
+export { UpdateNotifier };
@@ -0,0 +1,210 @@
+"use strict";
+
+/**
+ * How a query typed in the search bar is understood as an address.
+ * @typedef {Object} UrlMatch
+ * @property {string} url - The URL to open, with its scheme.
+ * @property {"url"|"domain"|"ip"|"localhost"|"intranet"} kind - What the query was recognized as.
+ */
+
+/** Schemes opened as typed, besides URLs with `//` (e.g. `https://`). */
+const OPAQUE_SCHEMES = ["mailto", "tel", "sms", "magnet"];
+
+/** A DNS label, such as `github` or `my-site`, including internationalized ones. */
+const LABEL_PATTERN = /^[\p{L}\p{N}](?:[\p{L}\p{N}-]{0,61}[\p{L}\p{N}])?$/u;
+
+/** A top-level domain: letters only, or a punycode one. */
+const TLD_PATTERN = /^(?:\p{L}{2,63}|xn--[a-z\d-]{1,59})$/iu;
+
+/** File extensions that are no top-level domains, so "node.js" is a search. */
+const FILE_EXTENSIONS = [
+    "bak",
+    "bat",
+    "cfg",
+    "cjs",
+    "conf",
+    "cpp",
+    "css",
+    "csv",
+    "dll",
+    "doc",
+    "docx",
+    "env",
+    "exe",
+    "gif",
+    "go",
+    "gz",
+    "hpp",
+    "htm",
+    "html",
+    "ini",
+    "java",
+    "jpeg",
+    "jpg",
+    "js",
+    "json",
+    "jsx",
+    "kt",
+    "lock",
+    "log",
+    "lua",
+    "mjs",
+    "pdf",
+    "php",
+    "png",
+    "ppt",
+    "pptx",
+    "rar",
+    "rb",
+    "sql",
+    "svg",
+    "tar",
+    "tmp",
+    "toml",
+    "ts",
+    "tsx",
+    "txt",
+    "vue",
+    "webp",
+    "xls",
+    "xlsx",
+    "xml",
+    "yaml",
+    "yml",
+];
+
+/**
+ * Top-level domains that are also common file extensions, so "readme.md" is
+ * a search, unless a path or port follows (e.g. "docs.rs/serde").
+ */
+const FILE_EXTENSION_TLDS = ["md", "mov", "ps", "py", "rs", "sh", "zip"];
+
+/**
+ * Split a list of hostnames separated by commas or spaces.
+ * @param {string} value - The list, e.g. "nas, wiki.corp".
+ * @returns {string[]} The hostnames, lowercased.
+ */
+function parseHostList(value) {
+    return value
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map((host) => host.toLowerCase());
+}
+
+/**
+ * Check a list of hostnames separated by commas or spaces.
+ * @param {string} value - The list.
+ * @returns {string|null} The error message, or null if all hostnames are valid.
+ */
+function validateHostList(value) {
+    const invalid = parseHostList(value).find(
+        (host) => !host.split(".").every((label) => LABEL_PATTERN.test(label)),
+    );
+    return invalid === undefined ? null : `Invalid hostname: ${invalid}`;
+}
+
+/**
+ * Check whether a string is an IPv4 address, e.g. "192.168.1.10".
+ * @param {string} host - The host.
+ * @returns {boolean} Whether the host is an IPv4 address.
+ */
+function isIPv4(host) {
+    const parts = host.split(".");
+    return (
+        parts.length === 4 &&
+        parts.every((part) => /^\d{1,3}$/.test(part) && Number(part) <= 255)
+    );
+}
+
+/**
+ * Check whether a host is a domain name with a plausible top-level domain.
+ * @param {string} host - The host, lowercased.
+ * @returns {boolean} Whether the host is a domain name.
+ */
+function isDomain(host) {
+    const labels = host.split(".");
+    return (
+        labels.length >= 2 &&
+        labels.every((label) => LABEL_PATTERN.test(label)) &&
+        TLD_PATTERN.test(labels.at(-1)) &&
+        !FILE_EXTENSIONS.includes(labels.at(-1))
+    );
+}
+
+/**
+ * Check whether a host is listed as intranet host, or is a subdomain of one.
+ * @param {string} host - The host, lowercased.
+ * @param {string[]} intranetHosts - The listed hosts, lowercased.
+ * @returns {boolean} Whether the host belongs to the intranet.
+ */
+function isIntranetHost(host, intranetHosts) {
+    return intranetHosts.some(
+        (entry) => host === entry || host.endsWith(`.${entry}`),
+    );
+}
+
+/**
+ * Recognize a query as an address to open rather than a search.
+ *
+ * - URLs with a scheme and `//` are kept, e.g. `https://example.com`,
+ *   as are `mailto:`, `tel:`, `sms:` and `magnet:` links.
+ * - Bare domains get `https://`, e.g. `github.com/foo`, but not file
+ *   names such as `node.js` or `readme.md`.
+ * - `localhost`, IP addresses and intranet hosts get `http://`,
+ *   e.g. `localhost:3000` or `192.168.1.1:8080`.
+ *
+ * Anything else, such as `a:b`, a sentence, or an email address, is a search.
+ * @param {string} query - The query, e.g. "github.com/foo".
+ * @param {Object} [options] - Classification options.
+ * @param {string[]} [options.intranetHosts] - Single-label or internal hosts opened as addresses, lowercased.
+ * @returns {UrlMatch|null} The address, or null if the query is a search.
+ */
+function classifyUrl(query, { intranetHosts = [] } = {}) {
+    query = query.trim();
+    if (!query || /\s/.test(query)) return null;
+
+    // Explicit URLs; "localhost:3000" is a host and port, not a scheme
+    const scheme = /^([a-z][a-z\d+.-]*):(\/\/)?/i.exec(query);
+    if (
+        scheme &&
+        (scheme[2] || OPAQUE_SCHEMES.includes(scheme[1].toLowerCase()))
+    ) {
+        return URL.canParse(query) ? { url: query, kind: "url" } : null;
+    }
+
+    // Bare addresses: host, optional port, then path, query or fragment
+    const match =
+        /^(\[[\da-f:.]+\]|[^/?#:@[\]]+)(?::(\d{1,5}))?([/?#].*)?$/iu.exec(
+            query,
+        );
+    if (!match) return null;
+    const [, rawHost, port, rest = ""] = match;
+    if (port !== undefined && (Number(port) < 1 || Number(port) > 65535)) {
+        return null;
+    }
+    const host = rawHost.toLowerCase().replace(/\.$/, "");
+
+    let kind;
+    if (host === "localhost" || host.endsWith(".localhost")) {
+        kind = "localhost";
+    } else if (isIPv4(host) || host.startsWith("[")) {
+        kind = "ip";
+    } else if (isIntranetHost(host, intranetHosts)) {
+        kind = "intranet";
+    } else if (
+        isDomain(host) &&
+        (port !== undefined ||
+            rest !== "" ||
+            !FILE_EXTENSION_TLDS.includes(host.split(".").at(-1)))
+    ) {
+        kind = "domain";
+    } else {
+        return null;
+    }
+
+    const protocol = kind === "domain" ? "https" : "http";
+    const url = `${protocol}://${host}${port !== undefined ? `:${port}` : ""}${rest}`;
+    return URL.canParse(url) ? { url: new URL(url).href, kind } : null;
+}
+
+export { classifyUrl, parseHostList, validateHostList };
@@ -0,0 +1,148 @@
+"use strict";
+// Run with `node --test components/`
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { classifyUrl, parseHostList, validateHostList } from "./url.js";
+
+/**
+ * Assert how a query is classified.
+ * @param {string} query - The query.
+ * @param {string|null} url - The expected URL, or null for a search.
+ * @param {string} [kind] - The expected kind.
+ * @param {Object} [options] - Classification options.
+ */
+function assertClassified(query, url, kind, options) {
+    const match = classifyUrl(query, options);
+    assert.deepEqual(match, url === null ? null : { url, kind }, query);
+}
+
+describe("classifyUrl", () => {
+    it("keeps URLs with a scheme", () => {
+        assertClassified("https://example.com", "https://example.com", "url");
+        assertClassified("ftp://host/file", "ftp://host/file", "url");
+    });
+
+    it("keeps opaque schemes", () => {
+        assertClassified(
+            "mailto:me@example.com",
+            "mailto:me@example.com",
+            "url",
+        );
+        assertClassified("tel:+123456", "tel:+123456", "url");
+    });
+
+    it("opens bare domains with https", () => {
+        assertClassified("github.com", "https://github.com/", "domain");
+        assertClassified(
+            "github.com/foo?tab=1#top",
+            "https://github.com/foo?tab=1#top",
+            "domain",
+        );
+        assertClassified(
+            "Example.ORG:8443/a",
+            "https://example.org:8443/a",
+            "domain",
+        );
+        assertClassified("bücher.de", "https://xn--bcher-kva.de/", "domain");
+    });
+
+    it("opens localhost with http", () => {
+        assertClassified("localhost", "http://localhost/", "localhost");
+        assertClassified(
+            "localhost:3000/api",
+            "http://localhost:3000/api",
+            "localhost",
+        );
+        assertClassified(
+            "app.localhost:8080",
+            "http://app.localhost:8080/",
+            "localhost",
+        );
+    });
+
+    it("opens IP addresses with http", () => {
+        assertClassified("192.168.1.1", "http://192.168.1.1/", "ip");
+        assertClassified(
+            "192.168.1.1:8080/admin",
+            "http://192.168.1.1:8080/admin",
+            "ip",
+        );
+        assertClassified("[::1]:8080", "http://[::1]:8080/", "ip");
+        assertClassified("[2001:db8::1]", "http://[2001:db8::1]/", "ip");
+        assertClassified("999.1.1.1", null);
+    });
+
+    it("opens intranet hosts and their subdomains with http", () => {
+        const options = { intranetHosts: ["nas", "corp"] };
+        assertClassified("nas", "http://nas/", "intranet", options);
+        assertClassified(
+            "nas:5000/photos",
+            "http://nas:5000/photos",
+            "intranet",
+            options,
+        );
+        assertClassified("wiki.corp", "http://wiki.corp/", "intranet", options);
+        assertClassified("nas", null);
+        assertClassified("mynas", null, undefined, options);
+    });
+
+    it("treats other text as searches", () => {
+        assertClassified("", null);
+        assertClassified("a:b", null);
+        assertClassified("me@example.com", null);
+        assertClassified("javascript:alert(1)", null);
+        assertClassified("what is github.com", null);
+        assertClassified("hello", null);
+    });
+
+    it("rejects ports out of range", () => {
+        assertClassified("localhost:0", null);
+        assertClassified("localhost:65536", null);
+        assertClassified("example.com:99999", null);
+        assertClassified(
+            "localhost:65535",
+            "http://localhost:65535/",
+            "localhost",
+        );
+    });
+
+    it("treats file names as searches", () => {
+        assertClassified("node.js", null);
+        assertClassified("package.json", null);
+        assertClassified("main.go", null);
+        assertClassified("readme.md", null);
+        assertClassified("setup.py", null);
+        assertClassified("archive.zip", null);
+    });
+
+    it("opens file-like domains followed by a path or port", () => {
+        assertClassified("docs.rs/serde", "https://docs.rs/serde", "domain");
+        assertClassified(
+            "example.sh:8443",
+            "https://example.sh:8443/",
+            "domain",
+        );
+    });
+});
+
+describe("parseHostList", () => {
+    it("splits on commas and spaces, lowercased", () => {
+        assert.deepEqual(parseHostList(" NAS, wiki.corp  printer"), [
+            "nas",
+            "wiki.corp",
+            "printer",
+        ]);
+        assert.deepEqual(parseHostList(""), []);
+    });
+});
+
+describe("validateHostList", () => {
+    it("accepts hostnames", () => {
+        assert.equal(validateHostList("nas, wiki.corp"), null);
+    });
+
+    it("reports the first invalid hostname", () => {
+        assert.equal(validateHostList("nas, a/b"), "Invalid hostname: a/b");
+        assert.equal(validateHostList("-bad"), "Invalid hostname: -bad");
+    });
+});
@@ -0,0 +1,418 @@
+"use strict";
+import { isPlainObject } from "./schema.js";
+
+/**
+ * A widget placed on the page, as stored in the "widgets" preference.
+ * @typedef {Object} WidgetEntry
+ * @property {string} module - The name of a built-in widget, or the URL of an ES module.
+ * @property {string} slot - Where the widget is shown, a key of WIDGET_SLOTS.
+ * @property {Object} [config] - Options passed to the widget.
+ */
+
+/**
+ * App objects passed to widgets when mounted.
+ * @typedef {Object} WidgetContext
+ * @property {import('./storage.js').StorageAdapter} storage - The storage backend.
+ * @property {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+ * @property {import('./site.js').SiteManager} siteManager - The site manager.
+ * @property {import('./settings.js').SettingsManager} settingsManager - The settings manager.
+ * @property {import('./notes.js').NotesManager} notes - The notes manager.
+ * @property {import('./commands.js').CommandRegistry} commands - The commands of the command palette.
+ */
+
+/**
+ * Interface of widget modules. A module can be mounted several times, so it
+ * should keep the state of each mount by element.
+ * @interface Widget
+ */
+
+/**
+ * Render the widget into its element. May return a Promise.
+ * @function
+ * @name Widget#mount
+ * @param {HTMLElement} el - The widget element, empty and already in the page.
+ * @param {Object} config - The widget options.
+ * @param {WidgetContext} context - The app context.
+ */
+
+/**
+ * Release what the widget holds (timers, listeners) before its element is removed. Optional.
+ * @function
+ * @name Widget#unmount
+ * @param {HTMLElement} el - The widget element.
+ */
+
+/** Built-in widgets, by name, as module paths relative to this file. */
+const BUILTIN_WIDGETS = {
+    clock: "./widgets/clock.js",
+    search: "./widgets/search.js",
+    notes: "./widgets/notes.js",
+};
+
+/** Places widgets can be shown in, with their labels. */
+const WIDGET_SLOTS = {
+    header: "Header",
+    "above-grid": "Above the sites",
+    "below-grid": "Below the sites",
+};
+
+/** Widgets shown by default, matching the original layout. */
+const DEFAULT_WIDGETS = [
+    { module: "clock", slot: "header", config: {} },
+    { module: "search", slot: "header", config: {} },
+];
+
+/**
+ * Check whether a widget module is a built-in widget.
+ * @param {string} module - The widget module.
+ * @returns {boolean} Whether it names a built-in widget.
+ */
+function isBuiltinWidget(module) {
+    return Object.hasOwn(BUILTIN_WIDGETS, module);
+}
+
+/**
+ * Check a list of widgets.
+ * @param {WidgetEntry[]} widgets - The widgets to check.
+ * @returns {string|null} The error message, or null if the widgets are valid.
+ */
+function validateWidgets(widgets) {
+    for (const widget of widgets) {
+        if (!isPlainObject(widget) || typeof widget.module !== "string") {
+            return "Widgets must have a module";
+        }
+        // Relative URLs need a leading ./ or /, to tell them from misspelled names
+        if (
+            !isBuiltinWidget(widget.module) &&
+            !/^(\.{0,2}\/|[a-z][a-z\d+.-]*:)/i.test(widget.module)
+        ) {
+            return `Unknown widget: ${widget.module}`;
+        }
+        if (!Object.hasOwn(WIDGET_SLOTS, widget.slot)) {
+            return `Unknown widget slot: ${widget.slot}`;
+        }
+        if (widget.config !== undefined && !isPlainObject(widget.config)) {
+            return `Options of widget ${widget.module} must be an object`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Check widgets imported from a backup. A shared backup could run any code
+ * through widget modules, so only built-in and already added ones are accepted.
+ * @param {WidgetEntry[]} widgets - The imported widgets, checked by validateWidgets().
+ * @param {WidgetEntry[]} current - The widgets currently configured.
+ * @returns {string|null} The error message, or null if the widgets can be imported.
+ */
+function validateImportedWidgets(widgets, current) {
+    const added = new Set(current.map((widget) => widget.module));
+    const unknown = widgets.find(
+        (widget) =>
+            !isBuiltinWidget(widget.module) && !added.has(widget.module),
+    );
+    return unknown
+        ? `Widget modules can only be added in the settings: ${unknown.module}`
+        : null;
+}
+
+/** Mounts the widgets configured in preferences into the slots of the page. */
+class WidgetManager {
+    /**
+     * Create a new WidgetManager instance.
+     * @param {Object<string, HTMLElement>} slots - The slot elements, by slot name.
+     * @param {WidgetContext} context - The app context passed to widgets.
+     */
+    constructor(slots, context) {
+        this.slots = slots;
+        this.context = context;
+        /**
+         * Widgets currently shown, with their module once loaded.
+         * @type {Array<{element: HTMLElement, module: Widget|null}>}
+         */
+        this.mounted = [];
+
+        context.preferences.addEventListener("preferencesUpdated", (e) => {
+            if (e.detail.key === "widgets") this.mountAll();
+        });
+    }
+
+    /**
+     * Resolve the module of a widget to a URL that can be imported.
+     * @param {string} module - The built-in widget name, or the module URL.
+     * @returns {string} The module URL.
+     */
+    static resolveModule(module) {
+        return isBuiltinWidget(module)
+            ? new URL(BUILTIN_WIDGETS[module], import.meta.url).href
+            : new URL(module, document.baseURI).href;
+    }
+
+    /**
+     * Replace the widgets shown with the configured ones.
+     * @returns {Promise<void>} Resolves once all widgets are mounted.
+     */
+    async mountAll() {
+        this.unmountAll();
+        await Promise.all(
+            this.context.preferences
+                .get("widgets")
+                .map((widget) => this.mount(widget)),
+        );
+    }
+
+    /**
+     * Load a widget module and mount it at the end of its slot.
+     * A widget failing to load shows an error instead of breaking the page.
+     * @param {WidgetEntry} widget - The widget to mount.
+     */
+    async mount(widget) {
+        // Add the element right away, so widgets keep their configured order
+        const element = document.createElement("div");
+        element.className = "widget";
+        element.dataset.widget = widget.module;
+        this.slots[widget.slot].appendChild(element);
+        const entry = { element, module: null };
+        this.mounted.push(entry);
+
+        try {
+            const module = await import(
+                WidgetManager.resolveModule(widget.module)
+            );
+            if (typeof module.mount !== "function") {
+                throw new TypeError("Widget modules must export mount()");
+            }
+            // Unmounted while loading
+            if (!element.isConnected) return;
+
+            entry.module = module;
+            await module.mount(
+                element,
+                structuredClone(widget.config ?? {}),
+                this.context,
+            );
+        } catch (error) {
+            console.error(`Error mounting widget ${widget.module}:`, error);
+            // Drop classes the widget may have added before failing
+            element.className = "widget widget-error";
+            element.textContent = `⚠️ Widget ${widget.module} failed to load`;
+        }
+    }
+
+    /** Unmount and remove all widgets shown. */
+    unmountAll() {
+        this.mounted.forEach(({ element, module }) => {
+            try {
+                module?.unmount?.(element);
+            } catch (error) {
+                console.error("Error unmounting widget:", error);
+            }
+            element.remove();
+        });
+        this.mounted = [];
+    }
+}
+
+/** Edits the list of widgets in the settings dialog. */
+class WidgetSettings {
+    /**
+     * Create a new WidgetSettings instance.
+     * @param {HTMLElement} container - The element holding the list and the form to add widgets.
+     * @param {import('./preferences.js').PreferencesManager} preferences - The user preferences.
+     */
+    constructor(container, preferences) {
+        this.list = container.querySelector(".widget-list");
+        this.form = container.querySelector(".widget-form");
+        this.moduleInput = container.querySelector(".widget-module-input");
+        this.slotSelect = container.querySelector(".widget-slot-select");
+        this.preferences = preferences;
+
+        // Suggest the built-in widgets
+        const options = container.querySelector("datalist");
+        Object.keys(BUILTIN_WIDGETS).forEach((name) => {
+            const option = document.createElement("option");
+            option.value = name;
+            options.appendChild(option);
+        });
+        this.fillSlotOptions(this.slotSelect);
+
+        this.form.addEventListener("submit", (e) => {
+            e.preventDefault();
+            this.add();
+        });
+        this.preferences.addEventListener("preferencesUpdated", (e) => {
+            if (e.detail.key === "widgets") this.render();
+        });
+        this.render();
+    }
+
+    /**
+     * Add an option for each slot to a select element.
+     * @param {HTMLSelectElement} select - The select element.
+     */
+    fillSlotOptions(select) {
+        Object.entries(WIDGET_SLOTS).forEach(([slot, label]) => {
+            const option = document.createElement("option");
+            option.value = slot;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    }
+
+    /** Render the list of widgets. */
+    render() {
+        this.list.innerHTML = "";
+        const widgets = this.preferences.get("widgets");
+        widgets.forEach((widget, index) => {
+            const item = document.createElement("li");
+            item.className = "widget-entry";
+
+            const name = document.createElement("span");
+            name.className = "widget-name";
+            name.textContent = widget.module;
+            name.title = widget.module;
+
+            const slot = document.createElement("select");
+            slot.title = "Where the widget is shown";
+            this.fillSlotOptions(slot);
+            slot.value = widget.slot;
+            slot.addEventListener("change", () =>
+                this.update(index, { slot: slot.value }),
+            );
+
+            const config = document.createElement("input");
+            config.type = "text";
+            config.className = "widget-config-input";
+            config.placeholder = "Options (JSON)";
+            config.title = "Options passed to the widget, as JSON object";
+            config.value =
+                Object.keys(widget.config ?? {}).length > 0
+                    ? JSON.stringify(widget.config)
+                    : "";
+            config.addEventListener("change", () =>
+                this.updateConfig(index, config),
+            );
+
+            item.append(
+                name,
+                slot,
+                config,
+                this.createButton("↑", "Move up", index > 0, () =>
+                    this.move(index, -1),
+                ),
+                this.createButton(
+                    "↓",
+                    "Move down",
+                    index < widgets.length - 1,
+                    () => this.move(index, 1),
+                ),
+                this.createButton("✕", "Remove this widget", true, () =>
+                    this.remove(index),
+                ),
+            );
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Create a button of a widget entry.
+     * @param {string} text - The button text.
+     * @param {string} title - The button title.
+     * @param {boolean} enabled - Whether the button is enabled.
+     * @param {Function} onClick - Called when the button is clicked.
+     * @returns {HTMLButtonElement} The button.
+     */
+    createButton(text, title, enabled, onClick) {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "widget-entry-btn";
+        button.textContent = text;
+        button.title = title;
+        button.disabled = !enabled;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    /**
+     * Save a new list of widgets, if valid.
+     * @param {WidgetEntry[]} widgets - The widgets.
+     * @returns {boolean} Whether the widgets were saved.
+     */
+    save(widgets) {
+        const error = validateWidgets(widgets);
+        if (error) {
+            alert(error);
+            this.render();
+            return false;
+        }
+        this.preferences.set("widgets", widgets);
+        return true;
+    }
+
+    /** Add the widget entered in the form. */
+    add() {
+        const widget = {
+            module: this.moduleInput.value.trim(),
+            slot: this.slotSelect.value,
+            config: {},
+        };
+        if (this.save([...this.preferences.get("widgets"), widget])) {
+            this.form.reset();
+        }
+    }
+
+    /**
+     * Change fields of a widget.
+     * @param {number} index - The index of the widget.
+     * @param {Partial<WidgetEntry>} changes - The changed fields.
+     */
+    update(index, changes) {
+        const widgets = this.preferences.get("widgets");
+        this.save(widgets.with(index, { ...widgets[index], ...changes }));
+    }
+
+    /**
+     * Change the options of a widget from their JSON input.
+     * @param {number} index - The index of the widget.
+     * @param {HTMLInputElement} input - The options input.
+     */
+    updateConfig(index, input) {
+        let config;
+        try {
+            config = input.value.trim() ? JSON.parse(input.value) : {};
+        } catch {
+            alert('Widget options must be valid JSON, e.g. {"key": "value"}.');
+            this.render();
+            return;
+        }
+        this.update(index, { config });
+    }
+
+    /**
+     * Move a widget before or after its neighbour.
+     * @param {number} index - The index of the widget.
+     * @param {number} offset - -1 to move up, 1 to move down.
+     */
+    move(index, offset) {
+        const widgets = [...this.preferences.get("widgets")];
+        const [widget] = widgets.splice(index, 1);
+        widgets.splice(index + offset, 0, widget);
+        this.save(widgets);
+    }
+
+    /**
+     * Remove a widget.
+     * @param {number} index - The index of the widget.
+     */
+    remove(index) {
+        this.save(this.preferences.get("widgets").toSpliced(index, 1));
+    }
+}
+
+export {
+    DEFAULT_WIDGETS,
+    WidgetManager,
+    WidgetSettings,
+    validateImportedWidgets,
+    validateWidgets,
+};
@@ -0,0 +1,38 @@
+"use strict";
+import { Clock } from "../clock.js";
+
+/**
+ * Clocks mounted by this module, by widget element.
+ * @type {Map<HTMLElement, Clock>}
+ */
+const clocks = new Map();
+
+/**
+ * Mount the clock widget.
+ * @param {HTMLElement} el - The widget element.
+ * @param {Object} config - The widget configuration (unused, see the Clock settings).
+ * @param {import('../widgets.js').WidgetContext} context - The app context.
+ */
+function mount(el, config, { preferences }) {
+    el.classList.add("clock");
+    ["clock-time", "clock-date", "clock-zones"].forEach((className) => {
+        const part = document.createElement("div");
+        part.className = className;
+        el.appendChild(part);
+    });
+
+    const clock = new Clock(el, preferences);
+    clock.start();
+    clocks.set(el, clock);
+}
+
+/**
+ * Unmount the clock widget.
+ * @param {HTMLElement} el - The widget element.
+ */
+function unmount(el) {
+    clocks.get(el)?.destroy();
+    clocks.delete(el);
+}
+
+export { mount, unmount };
@@ -0,0 +1,31 @@
+"use strict";
+import { NotePad } from "../notes.js";
+
+/**
+ * Note pads mounted by this module, by widget element.
+ * @type {Map<HTMLElement, NotePad>}
+ */
+const pads = new Map();
+
+/**
+ * Mount the notes widget.
+ * @param {HTMLElement} el - The widget element.
+ * @param {Object} config - The widget configuration.
+ * @param {string} [config.name] - The name the note is stored under, to show different notes in several widgets.
+ * @param {string} [config.title] - The title shown above the note.
+ * @param {import('../widgets.js').WidgetContext} context - The app context.
+ */
+function mount(el, config, { notes }) {
+    pads.set(el, new NotePad(el, notes, config));
+}
+
+/**
+ * Unmount the notes widget, saving pending changes.
+ * @param {HTMLElement} el - The widget element.
+ */
+function unmount(el) {
+    pads.get(el)?.destroy();
+    pads.delete(el);
+}
+
+export { mount, unmount };
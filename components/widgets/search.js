@@ -0,0 +1,56 @@
+"use strict";
+import { SearchManager } from "../search.js";
+
+/**
+ * Search managers mounted by this module, by widget element.
+ * @type {Map<HTMLElement, SearchManager>}
+ */
+const searches = new Map();
+
+/**
+ * Mount the search widget.
+ * @param {HTMLElement} el - The widget element.
+ * @param {Object} config - The widget configuration.
+ * @param {string} [config.placeholder] - The placeholder of the search input.
+ * @param {import('../widgets.js').WidgetContext} context - The app context.
+ */
+function mount(el, config, { siteManager, settingsManager, commands }) {
+    el.classList.add("search-container");
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "search-input";
+    input.placeholder = config.placeholder ?? "Search or enter URL...";
+    input.setAttribute("aria-label", "Search");
+    const results = document.createElement("div");
+    results.className = "search-results";
+    results.hidden = true;
+    el.append(input, results);
+
+    searches.set(
+        el,
+        new SearchManager(
+            input,
+            results,
+            siteManager,
+            settingsManager,
+            commands,
+        ),
+    );
+
+    // Focus like the autofocus attribute would, unless the user moved on
+    if (document.activeElement === document.body) {
+        input.focus();
+    }
+}
+
+/**
+ * Unmount the search widget.
+ * @param {HTMLElement} el - The widget element.
+ */
+function unmount(el) {
+    searches.get(el)?.destroy();
+    searches.delete(el);
+}
+
+export { mount, unmount };
@@ -2,35 +2,81 @@
 "use strict";
 
 const VERSION = "0.1.5";
+// Summary of changes in recent versions, newest first, shown in the settings.
+// Entries are added when a version is released.
+const CHANGELOG = [];
 const CACHE_NAME = `nano-start-${VERSION}`;
 const ICON_CACHE_NAME = `icons-${VERSION}`;
 const APP_RESOURCE = [
     "/",
     "/app.js",
     "/favicon.svg",
+    "/components/bookmarks.js",
+    "/components/cache.js",
     "/components/card.js",
     "/components/clock.js",
+    "/components/commands.js",
     "/components/engine.js",
+    "/components/favicon.js",
+    "/components/history.js",
+    "/components/icons.js",
+    "/components/import.js",
+    "/components/keyboard.js",
+    "/components/notes.js",
+    "/components/preferences.js",
+    "/components/schema.js",
     "/components/search.js",
     "/components/settings.js",
     "/components/site.js",
+    "/components/stats.js",
+    "/components/storage.js",
+    "/components/suggest.js",
+    "/components/theme.js",
+    "/components/toast.js",
+    "/components/update.js",
+    "/components/url.js",
+    "/components/widgets.js",
+    "/components/widgets/clock.js",
+    "/components/widgets/notes.js",
+    "/components/widgets/search.js",
     "/manifest.json",
     "/styles/index.css",
     "/styles/base.css",
     "/styles/buttons.css",
     "/styles/cards.css",
     "/styles/header.css",
+    "/styles/notes.css",
     "/styles/search.css",
     "/styles/settings.css",
+    "/styles/toast.css",
+    "/styles/update.css",
     "/styles/variables.css",
-    "https://cdn.jsdelivr.net/npm/fuse.js@7.1.0/dist/fuse.mjs",
+    "/styles/widgets.css",
+    "/vendor/fuse.js@7.1.0/fuse.mjs",
 ];
+// Must match the database used by components/storage.js
+const DB_NAME = "nano-start";
+const DB_VERSION = 1;
+const STORE_NAME = "data";
+// Database of the service worker itself, holding metadata of cached icons and settings
+const SW_DB_NAME = "nano-start-sw";
+const SW_DB_VERSION = 2;
+const ICON_META_STORE = "icons";
+const SETTINGS_STORE = "settings";
+// Policy of the icon cache, durations in seconds and sizes in bytes (0 for no limit)
+const DEFAULT_CACHE_POLICY = {
+    // Icons older than this are served, then revalidated in the background
+    maxAge: 7 * 24 * 60 * 60,
+    // Opaque responses may hide errors, so they are revalidated sooner
+    opaqueMaxAge: 24 * 60 * 60,
+    // Least recently used icons are evicted beyond these limits
+    maxEntries: 200,
+    maxSize: 10 * 1024 * 1024,
+};
 
 // Install event - cache files
 self.addEventListener("install", (event) => {
-    // Take control immediately
-    self.skipWaiting();
-
+    // Updates wait until the page asks to take over, see SKIP_WAITING below
     event.waitUntil(
         caches
             .open(CACHE_NAME)
@@ -64,6 +110,187 @@ async function fetchAndCache(request, cacheName) {
     }
 }
 
+// Helper to wrap an IndexedDB request in a Promise
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Helper to run a callback on an object store of the service worker database
+async function withStore(storeName, mode, callback) {
+    const request = indexedDB.open(SW_DB_NAME, SW_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(ICON_META_STORE)) {
+            db.createObjectStore(ICON_META_STORE, { keyPath: "url" });
+        }
+        if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+            db.createObjectStore(SETTINGS_STORE);
+        }
+    };
+    const db = await requestToPromise(request);
+    try {
+        const store = db.transaction(storeName, mode).objectStore(storeName);
+        return await requestToPromise(callback(store));
+    } finally {
+        db.close();
+    }
+}
+
+// Helper to run a callback on the icon metadata store
+function withIconMetaStore(mode, callback) {
+    return withStore(ICON_META_STORE, mode, callback);
+}
+
+// Helper to read the icon cache policy
+async function getCachePolicy() {
+    const stored = await withStore(SETTINGS_STORE, "readonly", (store) =>
+        store.get("iconCachePolicy"),
+    );
+    return { ...DEFAULT_CACHE_POLICY, ...stored };
+}
+
+// Helper to check and store a new icon cache policy, keeping unset fields
+async function setCachePolicy(changes) {
+    if (typeof changes !== "object" || changes === null) {
+        throw new TypeError("Policy must be an object");
+    }
+    const policy = await getCachePolicy();
+    for (const [key, value] of Object.entries(changes)) {
+        if (!(key in DEFAULT_CACHE_POLICY)) {
+            throw new TypeError(`Unknown policy field: ${key}`);
+        }
+        if (!Number.isFinite(value) || value < 0) {
+            throw new TypeError(`${key} must be a non-negative number`);
+        }
+        policy[key] = value;
+    }
+    await withStore(SETTINGS_STORE, "readwrite", (store) =>
+        store.put(policy, "iconCachePolicy"),
+    );
+    return policy;
+}
+
+// Helper to cache an icon, recording when it was cached and its size
+async function cacheIcon(request, response) {
+    const url =
+        typeof request === "string" ? new URL(request).href : request.url;
+    // Opaque responses (cross-origin without CORS) don't reveal their size
+    const opaque = response.type === "opaque";
+    const size = opaque ? null : (await response.clone().blob()).size;
+
+    const cache = await caches.open(ICON_CACHE_NAME);
+    await cache.put(request, response);
+    const now = Date.now();
+    const entry = { url, size, opaque, cachedAt: now, lastUsed: now };
+    await withIconMetaStore("readwrite", (store) => store.put(entry));
+    await enforceCacheLimits(await getCachePolicy());
+    return entry;
+}
+
+// Helper to remove an icon and its metadata from the cache
+async function removeIcon(url) {
+    const cache = await caches.open(ICON_CACHE_NAME);
+    const deleted = await cache.delete(url);
+    await withIconMetaStore("readwrite", (store) =>
+        store.delete(new URL(url).href),
+    );
+    return deleted;
+}
+
+// Helper to evict least recently used icons beyond the policy limits
+async function enforceCacheLimits(policy) {
+    const cache = await caches.open(ICON_CACHE_NAME);
+    const requests = await cache.keys();
+    const metas = await withIconMetaStore("readonly", (store) =>
+        store.getAll(),
+    );
+    const metaByUrl = new Map(metas.map((meta) => [meta.url, meta]));
+    const entries = requests
+        .map(({ url }) => metaByUrl.get(url) ?? { url, size: null })
+        .sort((a, b) => (a.lastUsed ?? 0) - (b.lastUsed ?? 0));
+
+    // Sizes of opaque responses are unknown, so they only count as entries
+    let count = entries.length;
+    let size = entries.reduce((total, entry) => total + (entry.size ?? 0), 0);
+    for (const entry of entries) {
+        const tooMany = policy.maxEntries > 0 && count > policy.maxEntries;
+        const tooLarge = policy.maxSize > 0 && size > policy.maxSize;
+        if (!tooMany && !tooLarge) break;
+
+        await removeIcon(entry.url);
+        count--;
+        size -= entry.size ?? 0;
+    }
+}
+
+// Helper to fetch an icon, caching it unless the response is an error
+async function fetchIcon(request, event) {
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === "opaque") {
+            event.waitUntil(
+                cacheIcon(request, response.clone()).catch((error) => {
+                    console.error("Failed to cache icon:", error);
+                }),
+            );
+        } else {
+            // Don't keep error responses, nor a copy of an icon that is gone
+            event.waitUntil(removeIcon(request.url));
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        return cached || new Response("You are offline", { status: 503 });
+    }
+}
+
+// Serve icons from cache, revalidating them in the background once stale
+async function handleIconRequest(event) {
+    const request = event.request;
+    const cache = await caches.open(ICON_CACHE_NAME);
+    const cached = await cache.match(request);
+    if (!cached) {
+        return fetchIcon(request, event);
+    }
+
+    try {
+        const [policy, meta] = await Promise.all([
+            getCachePolicy(),
+            withIconMetaStore("readonly", (store) => store.get(request.url)),
+        ]);
+        const maxAge =
+            cached.type === "opaque" ? policy.opaqueMaxAge : policy.maxAge;
+        // Icons cached without metadata are considered stale
+        const age = meta ? (Date.now() - meta.cachedAt) / 1000 : Infinity;
+        if (age > maxAge) {
+            event.waitUntil(fetchIcon(request, event));
+        } else {
+            event.waitUntil(
+                withIconMetaStore("readwrite", (store) =>
+                    store.put({ ...meta, lastUsed: Date.now() }),
+                ),
+            );
+        }
+    } catch (error) {
+        console.error("Failed to check icon age:", error);
+    }
+    return cached;
+}
+
+// Helper to create a JSON API response
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: {
+            "Content-Type": "application/json",
+            "Cache-Control": "no-cache",
+        },
+    });
+}
+
 // Helper to determine if a request is for an app resource
 function isAppResource(requestUrl) {
     return APP_RESOURCE.some((urlStr) => {
@@ -92,21 +319,53 @@ self.addEventListener("fetch", (event) => {
     if (requestUrl.pathname === "/index.html") {
         requestUrl.pathname = "/";
     }
-    const cacheName = isAppResource(requestUrl) ? CACHE_NAME : ICON_CACHE_NAME;
 
-    // Cache first strategy for both app resources and icons
+    // Only app resources and icons are cached, let other requests (e.g. search suggestions) through
+    if (!isAppResource(requestUrl)) {
+        if (event.request.destination === "image") {
+            event.respondWith(handleIconRequest(event));
+        }
+        return;
+    }
+
+    // Cache first strategy for app resources
     event.respondWith(
         caches
-            .match(isAppResource(requestUrl) ? requestUrl : event.request, {
-                ignoreSearch: true,
-            })
+            .match(requestUrl, { ignoreSearch: true })
             .then(
                 (response) =>
-                    response || fetchAndCache(event.request, cacheName),
+                    response || fetchAndCache(event.request, CACHE_NAME),
             ),
     );
 });
 
+// Helper to read a value stored by the app, unwrapping its schema version
+function readStoredData(key, field) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME);
+        };
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const db = request.result;
+            const getRequest = db
+                .transaction(STORE_NAME)
+                .objectStore(STORE_NAME)
+                .get(key);
+            getRequest.onerror = () => reject(getRequest.error);
+            getRequest.onsuccess = () => {
+                db.close();
+                const value = getRequest.result;
+                // Data stored before versioning is not wrapped
+                resolve(
+                    value && "schemaVersion" in value ? value[field] : value,
+                );
+            };
+        };
+    });
+}
+
 // Handle API requests
 async function handleApiRequest(requestUrl, request) {
     const pathname = requestUrl.pathname;
@@ -119,6 +378,7 @@ async function handleApiRequest(requestUrl, request) {
             version: VERSION,
             cacheName: CACHE_NAME,
             iconCacheName: ICON_CACHE_NAME,
+            changelog: CHANGELOG,
         };
         return new Response(JSON.stringify(versionInfo), {
             status: 200,
@@ -129,11 +389,145 @@ async function handleApiRequest(requestUrl, request) {
         });
     }
 
-    // DELETE /api/cache/icons
+    // GET /api/sites
+    if (method === "GET" && pathname === "/api/sites") {
+        console.log("Service Worker: Serving stored sites");
+        try {
+            const [sites, groups] = await Promise.all([
+                readStoredData("nano-start-sites", "items"),
+                readStoredData("nano-start-site-groups", "groups"),
+            ]);
+            return new Response(
+                JSON.stringify({ sites: sites ?? [], groups: groups ?? [] }),
+                {
+                    status: 200,
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Cache-Control": "no-cache",
+                    },
+                },
+            );
+        } catch (error) {
+            console.error("Service Worker: Error reading sites:", error);
+            return new Response(
+                JSON.stringify({ success: false, error: error.message }),
+                {
+                    status: 500,
+                    headers: {
+                        "Content-Type": "application/json",
+                    },
+                },
+            );
+        }
+    }
+
+    // GET /api/cache/icons - list cached icons with their size and caching time
+    if (method === "GET" && pathname === "/api/cache/icons") {
+        try {
+            const cache = await caches.open(ICON_CACHE_NAME);
+            const requests = await cache.keys();
+            const metas = await withIconMetaStore("readonly", (store) =>
+                store.getAll(),
+            );
+            const metaByUrl = new Map(metas.map((meta) => [meta.url, meta]));
+            // Icons cached by older versions have no metadata
+            const entries = requests.map(
+                ({ url }) =>
+                    metaByUrl.get(url) ?? {
+                        url,
+                        size: null,
+                        opaque: null,
+                        cachedAt: null,
+                    },
+            );
+            return jsonResponse({ entries });
+        } catch (error) {
+            console.error("Service Worker: Error listing icon cache:", error);
+            return jsonResponse({ success: false, error: error.message }, 500);
+        }
+    }
+
+    // POST /api/cache/icons?url=... - download an icon again
+    if (method === "POST" && pathname === "/api/cache/icons") {
+        const url = requestUrl.searchParams.get("url");
+        if (!url || !URL.canParse(url)) {
+            return jsonResponse(
+                { success: false, error: "Missing or invalid url" },
+                400,
+            );
+        }
+        try {
+            const response = await fetch(
+                new Request(url, { mode: "no-cors", cache: "reload" }),
+            );
+            if (response.type !== "opaque" && !response.ok) {
+                return jsonResponse(
+                    {
+                        success: false,
+                        error: `${response.status} ${response.statusText}`,
+                    },
+                    502,
+                );
+            }
+            const entry = await cacheIcon(url, response);
+            return jsonResponse({ success: true, entry });
+        } catch (error) {
+            console.error("Service Worker: Error refreshing icon:", error);
+            return jsonResponse({ success: false, error: error.message }, 502);
+        }
+    }
+
+    // DELETE /api/cache/icons?url=... - purge a single icon
+    if (
+        method === "DELETE" &&
+        pathname === "/api/cache/icons" &&
+        requestUrl.searchParams.has("url")
+    ) {
+        const url = requestUrl.searchParams.get("url");
+        if (!URL.canParse(url)) {
+            return jsonResponse({ success: false, error: "Invalid url" }, 400);
+        }
+        try {
+            const deleted = await removeIcon(url);
+            return jsonResponse({ success: true, deleted });
+        } catch (error) {
+            console.error("Service Worker: Error purging icon:", error);
+            return jsonResponse({ success: false, error: error.message }, 500);
+        }
+    }
+
+    // GET /api/cache/policy - read the icon cache policy
+    if (method === "GET" && pathname === "/api/cache/policy") {
+        try {
+            return jsonResponse({ policy: await getCachePolicy() });
+        } catch (error) {
+            console.error("Service Worker: Error reading cache policy:", error);
+            return jsonResponse({ success: false, error: error.message }, 500);
+        }
+    }
+
+    // PUT /api/cache/policy - change fields of the icon cache policy
+    if (method === "PUT" && pathname === "/api/cache/policy") {
+        let policy;
+        try {
+            policy = await setCachePolicy(await request.json());
+        } catch (error) {
+            return jsonResponse({ success: false, error: error.message }, 400);
+        }
+        try {
+            await enforceCacheLimits(policy);
+        } catch (error) {
+            console.error("Service Worker: Error evicting icons:", error);
+        }
+        return jsonResponse({ success: true, policy });
+    }
+
+    // DELETE /api/cache/icons - purge all icons
     if (method === "DELETE" && pathname === "/api/cache/icons") {
         console.log("Service Worker: Clearing icon cache via API");
         try {
             await caches.delete(ICON_CACHE_NAME);
+            await withIconMetaStore("readwrite", (store) => store.clear());
             console.log("Service Worker: Icon cache cleared successfully");
             return new Response(
                 JSON.stringify({
@@ -174,9 +568,16 @@ async function handleApiRequest(requestUrl, request) {
     );
 }
 
+// Message event - activate a waiting update when the user chooses to reload
+self.addEventListener("message", (event) => {
+    if (event.data?.type === "SKIP_WAITING") {
+        self.skipWaiting();
+    }
+});
+
 // Activate event - clean up old caches
 self.addEventListener("activate", (event) => {
-    // Take control of all clients immediately
+    // Take control of all clients, which reload for updates
     event.waitUntil(clients.claim());
 
     const cacheWhitelist = [CACHE_NAME, ICON_CACHE_NAME];